@@ -0,0 +1,45 @@
+import net from 'net'
+
+/**
+ * Addresses of servers are host:port strings, an ipv6 host is put in brackets so it can be told apart from the port
+ * and can be used in a url as it is. Hosts are normalized so the same server always gets the same address,
+ * ipv4 mapped ipv6 hosts like ::ffff:127.0.0.1 become ipv4 and ipv6 hosts are lowercased and shortened.
+ */
+
+export function normalizeHost(host){
+  const test = String(host).replace(/^\[(.*)\]$/, '$1').toLowerCase()
+  const mapped = test.match(/^::ffff:([0-9]+\.[0-9]+\.[0-9]+\.[0-9]+)$/)
+  if(mapped){
+    return mapped[1]
+  }
+  // hosts with a zone like fe80::1%eth0 can not go through URL
+  if(net.isIPv6(test) && !test.includes('%')){
+    return new URL(`http://[${test}]`).hostname.slice(1, -1)
+  }
+  return test
+}
+
+export function formatHost(host){
+  const test = normalizeHost(host)
+  return net.isIPv6(test) ? `[${test}]` : test
+}
+
+export function formatAddress(host, port){
+  return `${formatHost(host)}:${port}`
+}
+
+export function parseAddress(address){
+  const test = typeof(address) === 'string' ? address.match(/^(?:\[([^\]]+)\]|([^:\[\]]+)):([0-9]{1,5})$/) : null
+  if(!test || Number(test[3]) < 1 || Number(test[3]) > 65535){
+    throw new Error('address must be host:port or [ipv6]:port')
+  }
+  return {host: normalizeHost(test[1] || test[2]), port: Number(test[3])}
+}
+
+export function formatPath(path){
+  // a prefix like /p2p without the slashes at its end, an empty string for none and null if it is not a plain url path
+  if(typeof(path) !== 'string' || !/^(\/[A-Za-z0-9._~!$&'()*+,;=:@%\/-]*)?$/.test(path)){
+    return null
+  }
+  return path.replace(/\/+$/, '')
+}
@@ -1,101 +1,266 @@
 #!/usr/bin/env node
 
+import fs from 'fs'
 import minimist from 'minimist'
-import Server from '../index.js'
+import Server, { matchers } from '../index.js'
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf-8'))
+
+// every option of Server that can be given on the command line, flags win over environment variables and those over --config
+// the environment variable of an option is RELAY_ and its flag in upper case with _ for -
+const options = [
+  {name: 'host', flag: 'host', type: 'string', help: 'host other servers and clients reach this server at (required)'},
+  {name: 'port', flag: 'port', type: 'number', help: 'port of the server', value: 10509},
+  {name: 'hashes', flag: 'hashes', type: 'list', help: 'comma separated hashes to serve (required)'},
+  {name: 'domain', flag: 'domain', type: 'string', help: 'domain name clients and wss servers use for this server'},
+  {name: 'server', flag: 'server', type: 'string', help: 'ip to listen on, every ipv6 and ipv4 address if not given'},
+  {name: 'addresses', flag: 'addresses', type: 'list', help: 'comma separated other hosts or host:port the server can be reached at'},
+  {name: 'prefix', flag: 'prefix', type: 'string', help: 'path the routes are under like /p2p'},
+  {name: 'peers', flag: 'peers', type: 'list', help: 'comma separated host:port or host:port/path servers to use instead of the dht'},
+  {name: 'relay', flag: 'relay', type: 'boolean', help: 'listen on the dht', value: true},
+  {name: 'stats', flag: 'stats', type: 'boolean', help: 'serve /stats and /stats/:hash', value: true},
+  {name: 'metrics', flag: 'metrics', type: 'boolean', help: 'serve prometheus metrics on /metrics', value: false},
+  {name: 'timer', flag: 'timer', type: 'number', help: 'interval of the heartbeat and the other checks (ms)', value: 60000},
+  {name: 'timeouts', flag: 'timeouts', type: 'json', help: 'json of how long a client may stay in a stage and a server may take to prove its key (ms), like {"connect":45000,"signal":30000,"proc":45000,"handshake":10000}'},
+  {name: 'limit', flag: 'limit', type: 'json', help: 'json of the limits, like {"clientConnections":1000,"serverConnections":50,"clientOffers":1}'},
+  {name: 'rate', flag: 'rate', type: 'json', help: 'json of the rate limits, like {"client":{"default":{"rate":10,"burst":20}},"ban":3}'},
+  {name: 'maxPayload', flag: 'max-payload', type: 'number', help: 'largest message a socket may send (bytes)', value: 65536},
+  {name: 'offerTimeout', flag: 'offer-timeout', type: 'number', help: 'how long an offer waits for a match (ms)', value: 300000},
+  {name: 'matcher', flag: 'matcher', type: 'string', help: `how clients are matched, one of ${Object.keys(matchers).join(', ')}`, value: 'fifo'},
+  {name: 'degree', flag: 'degree', type: 'number', help: 'peers the degree matcher tries to give every client'},
+  {name: 'grace', flag: 'grace', type: 'number', help: 'how long a closed client can come back and resume (ms), 0 turns it off', value: 0},
+  {name: 'restart', flag: 'restart', type: 'number', help: 'listen again this long after an outage (ms), 0 turns it off', value: 300000},
+  {name: 'key', flag: 'key', type: 'string', help: 'pem file with the ed25519 key of the server, created if it does not exist'},
+  {name: 'trusted', flag: 'trusted', type: 'list', help: 'comma separated hex public keys of the servers that may connect'},
+  {name: 'secret', flag: 'secret', type: 'string', help: 'secret the token url param of clients is checked with'},
+  {name: 'cache', flag: 'cache', type: 'string', help: 'json file the servers that were connected to are kept in'},
+  {name: 'tlsCert', flag: 'tls-cert', type: 'string', help: 'pem file with the certificate, accept wss instead of ws'},
+  {name: 'tlsKey', flag: 'tls-key', type: 'string', help: 'pem file with the key of the certificate'},
+  {name: 'ws', flag: 'ws', type: 'json', help: 'json of options for the WebSocketServer of ws'},
+  {name: 'level', flag: 'level', type: 'string', help: 'lowest level that is printed, debug, info, warn, error or silent, info or debug with --dev'},
+  {name: 'json', flag: 'json', type: 'boolean', help: 'print events as json lines', value: false},
+  {name: 'dev', flag: 'dev', type: 'boolean', help: 'print debug events', value: false},
+  {name: 'drainTimeout', flag: 'drain-timeout', type: 'number', help: 'how long SIGTERM and SIGINT wait for negotiations to finish (ms)', value: 30000}
+]
+const env = (data) => {return 'RELAY_' + data.flag.toUpperCase().replace(/-/g, '_')}
 
 const argv = minimist(process.argv.slice(2), {
   alias: {
     h: 'help',
-    v: 'version'
+    v: 'version',
+    c: 'config'
   },
   boolean: [
     'help',
-    'version',
-    'ev'
-  ],
-  string: [
-    'domain',
-    'host',
-    'hashes',
-    'server'
+    'version'
   ],
-  default: {
-    'port': 10509,
-    'server': '0.0.0.0',
-    'hashes': '',
-    'init': true,
-    'relay': true,
-    'limit': {},
-    'ev': false,
-    'host': '0.0.0.0'
-  }
+  // booleans of the options are left out so a flag that was not given falls back to the environment and the config
+  string: ['config', ...options.filter((data) => {return data.type !== 'boolean'}).map((data) => {return data.flag})]
 })
 
 if (argv.version) {
-  console.log(require('../package.json').version)
+  console.log(pkg.version)
   process.exit(0)
 }
 
 if (argv.help) {
-  console.log((() => {
-  /*
-  bittorrent-tracker - Start a bittorrent tracker server
-
-  Usage:
-    bittorrent-tracker [OPTIONS]
-
-  If no --http, --udp, or --ws option is supplied, all tracker types will be started.
-
-  Options:
-    -p, --port [number]           change the port [default: 8000]
-        --http-hostname [string]  change the http server hostname [default: '::']
-        --udp-hostname [string]   change the udp hostname [default: '0.0.0.0']
-        --udp6-hostname [string]  change the udp6 hostname [default: '::']
-        --trust-proxy             trust 'x-forwarded-for' header from reverse proxy
-        --interval                client announce interval (ms) [default: 600000]
-        --http                    enable http server
-        --udp                     enable udp server
-        --ws                      enable websocket server
-        --stats                   enable web-based statistics (default: true)
-    -q, --quiet                   only show error output
-    -s, --silent                  show no output
-    -v, --version                 print the current version
-
-  */
-  }).toString().split(/\n/).slice(2, -2).join('\n'))
+  const flags = options.map((data) => {return `    --${data.flag}${data.type === 'boolean' ? '' : ` [${data.type}]`}`})
+  const width = Math.max(...flags.map((data) => {return data.length})) + 2
+  console.log([
+    `${pkg.name} ${pkg.version} - start a relay server`,
+    '',
+    'Usage:',
+    '  node bin/cmd.js --host <host> --hashes <hashes> [OPTIONS]',
+    '',
+    'Options:',
+    '    -c, --config [file]'.padEnd(width) + 'json file with any of the options below under their Server option name, like {"hashes":["abc"],"limit":{"clientConnections":100}}',
+    '    -h, --help'.padEnd(width) + 'print this help',
+    '    -v, --version'.padEnd(width) + 'print the version',
+    ...options.map((data, i) => {return flags[i].padEnd(width) + data.help + (data.value !== undefined ? ` [default: ${data.value}]` : '') + ` (${env(data)})`}),
+    '',
+    'Booleans are turned off with --no-<flag> or with false in their environment variable.',
+    'SIGTERM and SIGINT drain the server, a second signal stops it right away.',
+    ''
+  ].join('\n'))
   process.exit(0)
 }
 
-// const server = new Server({
-//   domain: argv['domain'],
-//   auth: argv['auth'],
-//   dir: argv['dir'],
-//   host: argv['host'],
-//   port: argv['port'],
-//   hashes: argv['hashes'].split(',').filter(Boolean),
-//   user: argv['user'],
-//   index: argv['index'],
-//   init: argv['init'],
-//   stats: argv['stats'],
-//   domain: argv['domain']
-// })
-
-const server = new Server({hashes: argv['hashes'].split(',').filter(Boolean), host: argv['host']})
-
-server.on('listening', (which) => {
-  console.log('listening', which)
-})
+const fail = (message) => {
+  console.error(`error: ${message}`)
+  console.error('run with --help to see the options')
+  process.exit(1)
+}
 
-if(argv['ev']){
-  server.on('ev', (e) => {
-    console.log(e)
-  })
+let config = {}
+const configFile = argv.config || process.env.RELAY_CONFIG
+if (configFile) {
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf-8'))
+  } catch (err) {
+    fail(`could not read the config file ${configFile}: ${err.message}`)
+  }
+  if (typeof(config) !== 'object' || config === null || Array.isArray(config)) {
+    fail(`config file ${configFile} must have a json object`)
+  }
+  const names = options.map((data) => {return data.name})
+  for (const name in config) {
+    if (!names.includes(name)) {
+      fail(`config file ${configFile} has an unknown option ${name}`)
+    }
+  }
+}
+
+const convert = (data, value, from) => {
+  if (data.type === 'string') {
+    if (typeof(value) !== 'string' || !value) {
+      fail(`${from} must be a string`)
+    }
+    return value
+  }
+  if (data.type === 'number') {
+    const test = typeof(value) === 'number' ? value : Number(value)
+    if (value === '' || !Number.isFinite(test) || test < 0) {
+      fail(`${from} must be a number that is 0 or more`)
+    }
+    return test
+  }
+  if (data.type === 'boolean') {
+    if (typeof(value) === 'boolean') {
+      return value
+    }
+    if (['true', '1', 'yes'].includes(String(value).toLowerCase())) {
+      return true
+    }
+    if (['false', '0', 'no'].includes(String(value).toLowerCase())) {
+      return false
+    }
+    fail(`${from} must be true or false`)
+  }
+  if (data.type === 'list') {
+    const test = Array.isArray(value) ? value : String(value).split(',')
+    return test.map((e) => {return String(e).trim()}).filter(Boolean)
+  }
+  if (data.type === 'json') {
+    let test = value
+    if (typeof(value) === 'string') {
+      try {
+        test = JSON.parse(value)
+      } catch (err) {
+        fail(`${from} must be json: ${err.message}`)
+      }
+    }
+    if (typeof(test) !== 'object' || test === null || Array.isArray(test)) {
+      fail(`${from} must be a json object`)
+    }
+    return test
+  }
+}
+
+const opts = {}
+for (const data of options) {
+  if (argv[data.flag] !== undefined) {
+    opts[data.name] = convert(data, Array.isArray(argv[data.flag]) ? argv[data.flag].at(-1) : argv[data.flag], `--${data.flag}`)
+  } else if (process.env[env(data)] !== undefined) {
+    opts[data.name] = convert(data, process.env[env(data)], env(data))
+  } else if (config[data.name] !== undefined) {
+    opts[data.name] = convert(data, config[data.name], `${data.name} in ${configFile}`)
+  } else if (data.value !== undefined) {
+    opts[data.name] = data.value
+  }
+}
+opts.level = opts.level || (opts.dev ? 'debug' : 'info')
+
+if (!opts.host) {
+  fail('--host is required')
+}
+if (!opts.hashes || !opts.hashes.length) {
+  fail('--hashes is required')
+}
+if (!Number.isInteger(opts.port) || opts.port < 1 || opts.port > 65535) {
+  fail('--port must be a whole number from 1 to 65535')
+}
+if (!['debug', 'info', 'warn', 'error', 'silent'].includes(opts.level)) {
+  fail('--level must be debug, info, warn, error or silent')
+}
+if (!Object.hasOwn(matchers, opts.matcher)) {
+  fail(`--matcher must be one of ${Object.keys(matchers).join(', ')}`)
+}
+if (Boolean(opts.tlsCert) !== Boolean(opts.tlsKey)) {
+  fail('--tls-cert and --tls-key must be given together')
+}
+if (opts.tlsCert) {
+  try {
+    opts.tls = {cert: fs.readFileSync(opts.tlsCert), key: fs.readFileSync(opts.tlsKey)}
+  } catch (err) {
+    fail(`could not read the certificate: ${err.message}`)
+  }
+}
+if (opts.trusted && !opts.trusted.every((data) => {return /^[0-9a-f]{64}$/.test(data)})) {
+  fail('--trusted must be hex encoded ed25519 public keys')
+}
+for (const name of ['timeouts', 'limit']) {
+  for (const key in opts[name] || {}) {
+    if (typeof(opts[name][key]) !== 'number' || opts[name][key] < 0) {
+      fail(`${key} of --${name} must be a number that is 0 or more`)
+    }
+  }
+}
+
+// every event is one line, json lines with --json so they can go straight into a log pipeline
+const line = (data) => {
+  if(opts.json){
+    return JSON.stringify(data)
+  }
+  const {type, level, time, ...rest} = data
+  return `${new Date(time).toISOString()} ${level} ${type} ${Object.entries(rest).map(([key, value]) => {return `${key}=${typeof(value) === 'object' ? JSON.stringify(value) : value}`}).join(' ')}`
+}
+const logger = {
+  debug: (data) => {console.log(line(data))},
+  info: (data) => {console.log(line(data))},
+  warn: (data) => {console.error(line(data))},
+  error: (data) => {console.error(line(data))}
+}
+const levels = ['debug', 'info', 'warn', 'error', 'silent']
+const log = (type, level, data = {}) => {
+  if (levels.indexOf(level) >= levels.indexOf(opts.level)) {
+    logger[level]({type, level, time: Date.now(), ...data})
+  }
+}
+
+const {tlsCert, tlsKey, json, drainTimeout, ...rest} = opts
+let server
+try {
+  server = new Server({...rest, init: false, logger})
+} catch (err) {
+  fail(err.message)
 }
 
 server.on('error', (err) => {
-  console.error('close', err)
+  log('error', 'error', {error: err.message})
 })
 
-server.on('close', (which) => {
-  console.log('close', which)
-})
\ No newline at end of file
+server.start().then(() => {
+  log('cli:start', 'info', {version: pkg.version, host: server.host, port: server.port, hashes: Array.from(server.hashes), id: server.id})
+}).catch((err) => {
+  log('cli:error', 'error', {error: err.message})
+  process.exit(1)
+})
+
+// the first signal drains the server so negotiations can finish, a second one does not wait
+let stopping = false
+const shutdown = (signal) => {
+  if (stopping) {
+    log('cli:signal', 'warn', {signal, drain: false})
+    process.exit(1)
+  }
+  stopping = true
+  log('cli:signal', 'info', {signal, drain: true, timeout: drainTimeout})
+  server.drain({timeout: drainTimeout}).then(() => {
+    process.exit(0)
+  }).catch((err) => {
+    log('cli:error', 'error', {error: err.message})
+    process.exit(1)
+  })
+}
+process.on('SIGTERM', shutdown)
+process.on('SIGINT', shutdown)
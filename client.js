@@ -0,0 +1,239 @@
+import EventEmitter from 'events'
+
+/**
+ * Signaling client for the /signal route.
+ *
+ * Works with the WebSocket of the browser, or with the WebSocket of ws passed as opts.WebSocket.
+ * Emits open, close, init, request, response, interrupt, relay, relays, room, token, expire and error.
+ * init means the server matched us with a peer and we send it the first request, request means a peer
+ * wants to connect and we send it a response.
+ *
+ * @param {Object}  opts                options object
+ * @param {String|Array}  opts.url    address of the server like ws://host:port, or a list of them to go through
+ * @param {String}  opts.hash     hash to join
+ * @param {String}  opts.id     id of this client
+ * @param {String}  opts.room     room inside of the hash
+ * @param {String}  opts.token     token made with Server.createToken
+ * @param {Function}  opts.WebSocket    WebSocket class to use, the global one if not given
+ * @param {Boolean}  opts.discover    ask the server for the other servers of the hash and keep them as fallbacks, defaults to true
+ * @param {Number}  opts.retry    how long to wait before the first reconnect (ms), doubled after every failure up to 30 seconds
+ */
+
+export default class Client extends EventEmitter {
+    constructor(opts = {}){
+      super()
+
+      if(!opts.hash || !opts.id){
+        throw new Error('must have hash and id')
+      }
+      this.WebSocket = opts.WebSocket || globalThis.WebSocket
+      if(!this.WebSocket){
+        throw new Error('must have a WebSocket, pass opts.WebSocket outside of the browser')
+      }
+      this.urls = (Array.isArray(opts.url) ? opts.url : [opts.url]).filter(Boolean).map((data) => {return data.replace(/\/+$/, '')})
+      if(!this.urls.length){
+        throw new Error('must have url')
+      }
+      this.hash = opts.hash
+      this.id = opts.id
+      this.room = opts.room || ''
+      this.token = opts.token || null
+      this.discover = opts.discover === false ? opts.discover : true
+      this.retry = opts.retry || 1000
+      this.wait = this.retry
+      this.index = 0
+      this.socket = null
+      this.closed = false
+      this.moving = false
+      this.resume = null
+      this.timer = null
+      // which side of the negotiation we are for every peer, req if we were sent init, res if the peer sent a request
+      this.roles = new Map()
+      this.connect()
+    }
+
+    connect(){
+      const test = new URLSearchParams({hash: this.hash, id: this.id})
+      if(this.room){
+        test.set('room', this.room)
+      }
+      if(this.token){
+        test.set('token', this.token)
+      }
+      if(this.resume){
+        test.set('resume', this.resume.token)
+      }
+      const url = this.urls[this.index]
+      const socket = new this.WebSocket(`${url}/signal?${test.toString()}`)
+      this.socket = socket
+      socket.onopen = () => {
+        this.wait = this.retry
+        this.moving = false
+        if(this.discover){
+          this.send({action: 'relays', sort: 'load'})
+        }
+        this.emit('open', url)
+      }
+      socket.onmessage = (e) => {
+        let data
+        try {
+          data = JSON.parse(typeof(e.data) === 'string' ? e.data : e.data.toString('utf-8'))
+        } catch (err) {
+          this.emit('error', err)
+          return
+        }
+        this.handle(data)
+      }
+      socket.onerror = (e) => {
+        this.emit('error', e.error || new Error('websocket error'))
+      }
+      socket.onclose = (e) => {
+        if(this.socket !== socket){
+          return
+        }
+        this.socket = null
+        if(this.resume && !this.resume.until){
+          this.resume.until = Date.now() + this.resume.grace
+        }
+        this.emit('close', e.code)
+        if(this.closed){
+          return
+        }
+        this.reconnect()
+      }
+    }
+
+    reconnect(){
+      // come back to the same server while the resume token is good, else go to the next address
+      if(this.resume && !this.moving && Date.now() < this.resume.until){
+        this.timer = setTimeout(() => {
+          if(!this.closed){
+            this.connect()
+          }
+        }, Math.min(this.retry, this.resume.until - Date.now()))
+        return
+      }
+      this.resume = null
+      this.roles.clear()
+      // a move is tried once right away, if the server we were sent to fails we go on like after any other failure
+      const moving = this.moving
+      this.moving = false
+      if(!moving){
+        this.index = (this.index + 1) % this.urls.length
+      }
+      this.timer = setTimeout(() => {
+        if(!this.closed){
+          this.connect()
+        }
+      }, moving ? 0 : this.wait)
+      if(!moving){
+        this.wait = Math.min(this.wait * 2, 30000)
+      }
+    }
+
+    handle(data){
+      if(data.action === 'init'){
+        this.roles.set(data.res, 'req')
+        this.emit('init', data)
+      } else if(data.action === 'request'){
+        this.roles.set(data.req, 'res')
+        this.emit('request', data)
+      } else if(data.action === 'response'){
+        this.emit('response', data)
+      } else if(data.action === 'interrupt'){
+        this.roles.delete(data.id)
+        this.emit('interrupt', data.id)
+      } else if(data.action === 'relay'){
+        // the server is going away, go to the server it gave us or to the next fallback
+        this.resume = null
+        if(data.relay){
+          const url = this.toUrl(data.relay, this.urls[this.index].startsWith('wss:'))
+          if(!this.urls.includes(url)){
+            this.urls.push(url)
+          }
+          this.index = this.urls.indexOf(url)
+          this.moving = true
+        }
+        this.emit('relay', data.relay)
+      } else if(data.action === 'relays'){
+        for(const test of Array.isArray(data.relays) ? data.relays : []){
+          const url = this.toUrl(test.web, test.secure)
+          if(!this.urls.includes(url)){
+            this.urls.push(url)
+          }
+        }
+        this.emit('relays', data.relays)
+      } else if(data.action === 'token'){
+        this.resume = {token: data.token, until: 0, grace: data.grace}
+        this.emit('token', data.token)
+      } else if(data.action === 'expire'){
+        this.emit('expire', data.id)
+      } else if(data.action === 'room'){
+        this.emit('room', data)
+      } else if(data.action === 'error'){
+        const err = new Error(data.error)
+        err.code = data.code
+        this.emit('error', err)
+      }
+    }
+
+    toUrl(address, secure){
+      return `${secure ? 'wss' : 'ws'}://${address}`
+    }
+
+    send(data){
+      if(!this.socket || this.socket.readyState !== 1){
+        return false
+      }
+      this.socket.send(JSON.stringify(data))
+      return true
+    }
+
+    session(){
+      return this.send({action: 'session'})
+    }
+
+    match(count){
+      return this.send({action: 'match', count})
+    }
+
+    relays(){
+      return this.send({action: 'relays', sort: 'load'})
+    }
+
+    members(){
+      return this.send({action: 'room'})
+    }
+
+    request(id, data = {}){
+      return this.send({...data, action: 'request', req: this.id, res: id})
+    }
+
+    response(id, data = {}){
+      return this.send({...data, action: 'response', req: id, res: this.id})
+    }
+
+    proc(id){
+      // tells the server the peer is connected, the sender always goes in req
+      this.roles.delete(id)
+      return this.send({action: 'proc', req: this.id, res: id})
+    }
+
+    sdp(id, sdp){
+      // sdp and ice go through request if we started the negotiation and through response if the peer did
+      return this.roles.get(id) === 'res' ? this.response(id, {sdp}) : this.request(id, {sdp})
+    }
+
+    candidate(id, candidate){
+      return this.roles.get(id) === 'res' ? this.response(id, {candidate}) : this.request(id, {candidate})
+    }
+
+    close(){
+      this.closed = true
+      clearTimeout(this.timer)
+      this.timer = null
+      if(this.socket){
+        this.socket.close()
+      }
+    }
+}
@@ -0,0 +1,174 @@
+import EventEmitter from 'events'
+import crypto from 'crypto'
+import { formatAddress, parseAddress, formatPath } from './address.js'
+
+/**
+ * Discovery finds other relay servers for a relay hash (the sha1 of a hash).
+ *
+ * Server uses the same shape as bittorrent-dht, so a DHT instance is a discovery as it is.
+ * Anything else has to have listen(port, host), lookup(relay, cb), announce(relay, port, cb),
+ * destroy(cb), a listening property and emit listening, ready, peer, error and close.
+ * peer is emitted with ({host, port, path}, relay as a Buffer, from), path is the prefix of the peer and may be left out.
+ * unannounce(relay, port, cb) is optional and called when a hash is removed.
+ */
+
+const toAddress = (data) => {
+  // a path after the port is the prefix the routes of the peer are under
+  const i = typeof(data) === 'string' ? data.indexOf('/') : -1
+  try {
+    const test = parseAddress(i === -1 ? data : data.slice(0, i))
+    if(i !== -1){
+      test.path = formatPath(data.slice(i))
+      if(test.path === null){
+        throw new Error('path is not valid')
+      }
+    }
+    return test
+  } catch {
+    throw new Error('peers must be host:port or [ipv6]:port with an optional /path')
+  }
+}
+
+class BaseDiscovery extends EventEmitter {
+    constructor(){
+      super()
+      this.listening = false
+    }
+    listen(){
+      if(this.listening){
+        return
+      }
+      this.listening = true
+      process.nextTick(() => {
+        this.emit('listening')
+        this.emit('ready')
+      })
+    }
+    found(relay, peers){
+      process.nextTick(() => {
+        for(const peer of peers){
+          this.emit('peer', {host: peer.host, port: peer.port, path: peer.path}, Buffer.from(relay, 'hex'), null)
+        }
+      })
+    }
+    destroy(cb){
+      this.listening = false
+      process.nextTick(() => {
+        this.emit('close')
+        if(cb){
+          cb(null)
+        }
+      })
+    }
+}
+
+/**
+ * Static list of peers.
+ *
+ * @param {Object}  opts                options object
+ * @param {Array|Object}  opts.peers    host:port or [ipv6]:port strings used for every hash, or an object of hash to those strings, a /path after the port is the prefix of the peer
+ */
+export class StaticDiscovery extends BaseDiscovery {
+    constructor(opts = {}){
+      super()
+      this.all = []
+      this.peers = new Map()
+      if(Array.isArray(opts.peers)){
+        this.all = opts.peers.map(toAddress)
+      } else if(typeof(opts.peers) === 'object' && opts.peers !== null){
+        for(const hash in opts.peers){
+          if(!Array.isArray(opts.peers[hash])){
+            throw new Error('peers of a hash must be an array')
+          }
+          this.peers.set(crypto.createHash('sha1').update(hash).digest('hex'), opts.peers[hash].map(toAddress))
+        }
+      } else {
+        throw new Error('peers must be an array or an object')
+      }
+    }
+    lookup(relay, cb){
+      const test = [...this.all, ...(this.peers.get(relay) || [])]
+      this.found(relay, test)
+      if(cb){
+        process.nextTick(() => {cb(null, test.length)})
+      }
+    }
+    announce(relay, port, cb){
+      if(cb){
+        process.nextTick(() => {cb(null)})
+      }
+    }
+}
+
+/**
+ * In-process list of announced servers, shared by every MemoryDiscovery that uses it.
+ */
+export class Registry {
+    constructor(){
+      this.relays = new Map()
+    }
+    add(relay, host, port){
+      if(!this.relays.has(relay)){
+        this.relays.set(relay, new Map())
+      }
+      this.relays.get(relay).set(formatAddress(host, port), {host, port})
+    }
+    remove(relay, host, port){
+      if(this.relays.has(relay)){
+        const test = this.relays.get(relay)
+        test.delete(formatAddress(host, port))
+        if(!test.size){
+          this.relays.delete(relay)
+        }
+      }
+    }
+    get(relay){
+      return this.relays.has(relay) ? Array.from(this.relays.get(relay).values()) : []
+    }
+}
+
+export const registry = new Registry()
+
+/**
+ * Discovery through a Registry, for several servers in one process.
+ *
+ * @param {Object}  opts                options object
+ * @param {Registry}  opts.registry    registry to use, the shared one if not given
+ * @param {String}  opts.host    host announced for this server
+ */
+export class MemoryDiscovery extends BaseDiscovery {
+    constructor(opts = {}){
+      super()
+      this.registry = opts.registry || registry
+      this.host = opts.host || '127.0.0.1'
+      this.announced = new Map()
+    }
+    lookup(relay, cb){
+      const test = this.registry.get(relay)
+      this.found(relay, test)
+      if(cb){
+        process.nextTick(() => {cb(null, test.length)})
+      }
+    }
+    announce(relay, port, cb){
+      this.registry.add(relay, this.host, port)
+      this.announced.set(relay, port)
+      if(cb){
+        process.nextTick(() => {cb(null)})
+      }
+    }
+    unannounce(relay, port, cb){
+      this.registry.remove(relay, this.host, port)
+      this.announced.delete(relay)
+      if(cb){
+        process.nextTick(() => {cb(null)})
+      }
+    }
+    destroy(cb){
+      for(const [relay, port] of this.announced){
+        this.registry.remove(relay, this.host, port)
+      }
+      this.announced.clear()
+      super.destroy(cb)
+    }
+}
@@ -1,8 +1,18 @@
 import EventEmitter from 'events'
 import http from 'http'
+import https from 'https'
 import { WebSocketServer, WebSocket } from 'ws'
 import DHT from 'bittorrent-dht'
 import crypto from 'crypto'
+import fs from 'fs'
+import { StaticDiscovery } from './discovery.js'
+import { normalizeHost, formatHost, formatAddress, parseAddress, formatPath } from './address.js'
+import { version, minVersion, clientSchemas, serverSchemas, validate } from './schema.js'
+
+export { StaticDiscovery, MemoryDiscovery, Registry, registry } from './discovery.js'
+export { default as Client } from './client.js'
+export { version, minVersion, clientSchemas, serverSchemas, validate } from './schema.js'
+export { normalizeHost, formatHost, formatAddress, parseAddress, formatPath } from './address.js'
 
 /**
  * BitTorrent tracker server.
@@ -13,21 +23,85 @@ import crypto from 'crypto'
  *
  * @param {Object}  opts                options object
  * @param {Object}  opts.timer       interval for general things like checking for active and inactive connections (ms)
+ * @param {Object}  opts.timeouts       how long a client may stay in the connect, signal and proc stages and a server has for its proof (ms)
  * @param {String}  opts.host     host used for server
+ * @param {Array}  opts.addresses     other hosts or host:port addresses the server can be reached at, sent to other servers in the session
  * @param {Number}  opts.port     port used for server
  * @param {String}  opts.domain     domain name that will be used
  * @param {Array|String}  opts.hashes     join the relays for these hashes, array of hashes or comma separated string of hashes
- * @param {Object} opts.limit       limit the connections of the relay and the hashes
+ * @param {Object} opts.limit       limits of connections, clientOffers, clientPeers, peerFails and peerExchange
+ * @param {Number}  opts.offerTimeout    how long an offer waits for a match before it expires (ms)
+ * @param {Function|String}  opts.matcher    picks the offer for a client, a function (socket, offers, server) or fifo, random, least or degree
+ * @param {Number}  opts.grace    how long a closed client can come back with the token it was given (ms), 0 turns it off
+ * @param {Number}  opts.degree    number of peers the degree matcher tries to give every client, defaults to limit.clientPeers or 5
  * @param {Boolean}  opts.init    automatically start once instantiated
+ * @param {http.Server}  opts.http    http or https server of the host app to attach to, mount handleRequest for the http routes
+ * @param {Boolean}  opts.noServer    no server at all, the host app passes its upgrades to handleUpgrade and its requests to handleRequest
+ * @param {String}  opts.prefix    path the routes are under like /p2p, servers found through the dht must use the same prefix
+ * @param {Number}  opts.restart    listen again this long after an outage of the http server (ms), 0 turns it off
  * @param {Boolean}  opts.relay    if automatically started, this also start the dht listener for connections
- * @param {String}  opts.server    ip of the server
+ * @param {Object}  opts.discovery    finds other servers instead of the dht, see discovery.js
+ * @param {Array|Object}  opts.peers    use a StaticDiscovery with these host:port or host:port/path peers instead of the dht
+ * @param {String}  opts.server    ip of the server, every ipv6 and ipv4 address if not given
  * @param {Boolean}  opts.ws    options for WebSocket Server
+ * @param {Boolean}  opts.stats    serve /stats and /stats/:hash without client ids, defaults to true
+ * @param {Boolean}  opts.metrics    serve prometheus metrics on /metrics, defaults to false
+ * @param {String}  opts.key    pem file with the ed25519 private key of the server, created if it does not exist
+ * @param {Array}  opts.trusted    hex encoded ed25519 public keys of the servers that may connect, every server if empty
+ * @param {Function}  opts.auth    authorize /signal clients, called with the request, hash and id, resolves to true to let the client in
+ * @param {String}  opts.secret    require a token url param on /signal made with Server.createToken and this secret
+ * @param {Object}  opts.tls    options for https.createServer like cert and key, the server accepts wss instead of ws when given
+ * @param {String}  opts.cache    json file where servers that finished a session are kept, they are connected to again on start
+ * @param {Object}  opts.rate    {rate, burst} of every action for client, server and ip, and when limit events warn, disconnect and ban
+ * @param {Object}  opts.logger    gets every event at or above opts.level, an object with debug, info, warn and error like console
+ * @param {String}  opts.level    lowest level that goes to the logger, debug, info, warn, error or silent, defaults to info
+ * @param {Number}  opts.maxPayload    largest message a socket may send (bytes), larger messages close the socket
  */
 
 // * @param {Function}  opts.extendRelay    have custom capabilities
 // * @param {Function}  opts.extendHandler     handle custom routes
 // * @param {Number}  opts.relayTimer       interval to find and connect to other trackers (ms)
 
+/**
+ * Built-in matchers, they get the client, the offers it can take oldest first and the server, and return one of the offers.
+ */
+export const matchers = {
+  fifo: (socket, offers) => {
+    return offers[0]
+  },
+  random: (socket, offers) => {
+    return offers[Math.floor(Math.random() * offers.length)]
+  },
+  least: (socket, offers, server) => {
+    let test = offers[0]
+    for(const data of offers){
+      if(server.degreeOf(data) < server.degreeOf(test)){
+        test = data
+      }
+    }
+    return test
+  },
+  degree: (socket, offers, server) => {
+    return offers.find((data) => {return server.degreeOf(data) < server.degree}) || offers[0]
+  }
+}
+
+/**
+ * Levels of the events, an event goes to the logger when its level is at or above the level of the server.
+ */
+const levels = {debug: 10, info: 20, warn: 30, error: 40, silent: 100}
+
+/**
+ * Every event is emitted under its type and under event, with the fields of the event and {type, level, time}.
+ *
+ * http:listening, http:close, http:request, ws:listening, ws:close, ws:connection
+ * dht:listening, dht:ready, dht:close, dht:peer, dht:lookup, dht:announce
+ * client:connect, client:message, client:match, client:suspend, client:resume, client:close, client:reap, client:limit, client:error
+ * server:connect, server:message, server:session, server:rejected, server:error, server:backoff, server:close, server:reap, server:limit
+ * offer:expire, ip:ban, hash:add, hash:remove, cache:error, relay:drain, relay:stop
+ * error is still emitted with an Error for errors of this server.
+ */
+
 export default class Server extends EventEmitter {
     constructor(opts = {}){
         super()
@@ -37,68 +111,213 @@ export default class Server extends EventEmitter {
         // this.test = '0'
         // this.offer = null
         this.dev = Boolean(opts.dev)
+        this.logger = opts.logger || (this.dev ? console : null)
+        if(!Object.hasOwn(levels, opts.level || 'info')){
+          throw new Error('level must be one of ' + Object.keys(levels).join(', '))
+        }
+        this.level = levels[opts.level || (this.dev ? 'debug' : 'info')]
         this.useInit = opts.init === false ? opts.init : true
         this.useRelay = opts.relay === true ? opts.relay : false
+        this.useStats = opts.stats === false ? opts.stats : true
+        this.useMetrics = opts.metrics === true ? opts.metrics : false
+        this.counters = {messages: {client: {}, server: {}}, interrupts: 0, matches: 0, timeouts: {1: 0, 2: 0, 3: 0}, errors: 0}
+        this.timer = opts.timer || 60000
+        // connect is until a client is matched or offered, signal is while it waits on a request or response, proc is after a response
+        this.timeouts = {connect: 45000, signal: 30000, proc: 45000, handshake: 10000, ...(typeof(opts.timeouts) === 'object' && !Array.isArray(opts.timeouts) ? opts.timeouts : {})}
+        // clientOffers are open offers and clientPeers peers per client, peerFails drops a cached server, peerExchange caps a peers message
         this.limit = typeof(opts.limit) === 'object' && !Array.isArray(opts.limit) ? opts.limit : {}
         this.limit.serverConnections = this.limit.serverConnections || 0
         this.limit.clientConnections = this.limit.clientConnections || 0
+        this.limit.clientOffers = this.limit.clientOffers || 1
+        this.limit.peerFails = this.limit.peerFails || 5
+        this.limit.peerExchange = this.limit.peerExchange || 20
+        this.limit.clientPeers = this.limit.clientPeers || 0
+        const rate = typeof(opts.rate) === 'object' && !Array.isArray(opts.rate) && opts.rate !== null ? opts.rate : {}
+        // client and server buckets are per socket, ip is over every client of an ip, default is for actions without their own bucket
+        // warn is how many limited messages get an error back, disconnect how many close the socket and ban how many closes ban the ip
+        // limited messages and closed or banned sockets are emitted as client:limit, server:limit and ip:ban events
+        this.rate = {
+          warn: rate.warn || 3,
+          disconnect: rate.disconnect || 20,
+          ban: rate.ban || 3,
+          banTime: rate.banTime || 600000,
+          client: {default: {rate: 10, burst: 20}, request: {rate: 50, burst: 100}, response: {rate: 50, burst: 100}, ...rate.client},
+          server: {default: {rate: 500, burst: 1000}, ...rate.server},
+          ip: {default: {rate: 50, burst: 100}, request: {rate: 200, burst: 400}, response: {rate: 200, burst: 400}, ...rate.ip}
+        }
+        this.maxPayload = opts.maxPayload || 65536
+        // buckets of every remote ip, limited sockets of every ip and the ips that are banned until a time
+        this.ips = new Map()
+        this.strikes = new Map()
+        this.bans = new Map()
+        this.degree = opts.degree || this.limit.clientPeers || 5
+        if(typeof(opts.matcher) === 'function'){
+          this.matcher = opts.matcher
+        } else if(!opts.matcher || matchers[opts.matcher]){
+          this.matcher = matchers[opts.matcher || 'fifo']
+        } else {
+          throw new Error('matcher must be a function or one of ' + Object.keys(matchers).join(', '))
+        }
+        this.offerTimeout = opts.offerTimeout || 300000
+        this.grace = opts.grace || 0
+        this.restart = opts.restart === 0 ? opts.restart : (opts.restart || 300000)
+        this.restarting = null
+        this.draining = null
+        this.starting = null
+        // set once start got the http server listening, only then is an outage listened again after restart
+        this.listened = false
         this.http = null
         this.ws = null
         this.domain = opts.domain
-        this.server = opts.server || '0.0.0.0'
+        this.server = opts.server || undefined
         if(!opts.host){
           throw new Error('must have host')
         }
-        this.host = opts.host
-        this.port = opts.port || 10509
-        this.address = `${this.host}:${this.port}`
-        this.web = `${this.domain || this.host}:${this.port}`
-        this.id = crypto.createHash('sha1').update(this.address).digest('hex')
+        this.host = normalizeHost(opts.host)
+        this.port = Number(opts.port) || 10509
+        this.address = formatAddress(this.host, this.port)
+        // the address of the server comes first, the others are what it is known by on other networks
+        this.addresses = [this.address]
+        for(const data of Array.isArray(opts.addresses) ? opts.addresses : []){
+          const test = /^\[.*\]:[0-9]+$|^[^:]+:[0-9]+$/.test(data) ? parseAddress(data) : {host: data, port: this.port}
+          if(!this.addresses.includes(formatAddress(test.host, test.port))){
+            this.addresses.push(formatAddress(test.host, test.port))
+          }
+        }
+        this.prefix = typeof(opts.prefix) === 'string' ? opts.prefix.replace(/\/+$/, '') : ''
+        if(this.prefix && !this.prefix.startsWith('/')){
+          this.prefix = '/' + this.prefix
+        }
+        // clients reach the routes through web, so it has the prefix
+        this.web = `${formatAddress(this.domain || this.host, this.port)}${this.prefix}`
+        if(opts.key && fs.existsSync(opts.key)){
+          this.privateKey = crypto.createPrivateKey(fs.readFileSync(opts.key))
+          if(this.privateKey.asymmetricKeyType !== 'ed25519'){
+            throw new Error('key must be an ed25519 private key')
+          }
+        } else {
+          this.privateKey = crypto.generateKeyPairSync('ed25519').privateKey
+          if(opts.key){
+            fs.writeFileSync(opts.key, this.privateKey.export({type: 'pkcs8', format: 'pem'}), {mode: 0o600})
+          }
+        }
+        this.key = Buffer.from(crypto.createPublicKey(this.privateKey).export({format: 'jwk'}).x, 'base64url').toString('hex')
+        this.id = crypto.createHash('sha1').update(Buffer.from(this.key, 'hex')).digest('hex')
+        if(opts.trusted && (!Array.isArray(opts.trusted) || !opts.trusted.every((data) => {return typeof(data) === 'string'}))){
+          throw new Error('trusted must be an array of public keys')
+        }
+        this.trusted = new Set(opts.trusted || [])
+        this.triedAlready = new Map()
+        if(opts.auth && typeof(opts.auth) !== 'function'){
+          throw new Error('auth must be a function')
+        }
+        this.auth = opts.auth || null
+        this.secret = opts.secret || null
+        this.tls = typeof(opts.tls) === 'object' && !Array.isArray(opts.tls) && opts.tls !== null ? opts.tls : null
+        this.secure = Boolean(this.tls)
+        // what other servers told us in their session once they proved their key, used to pick ws or wss when connecting to them again
+        this.known = new Map()
+        // servers that are not known yet and could not be reached with ws, they are tried with wss next
+        this.fallback = new Set()
+        this.cache = opts.cache || null
+        if(this.cache && fs.existsSync(this.cache)){
+          let test
+          try {
+            test = JSON.parse(fs.readFileSync(this.cache, 'utf-8'))
+          } catch (err) {
+            // an empty or broken cache starts over, it is written again after the next session
+            test = []
+            process.nextTick(() => {this.event('cache:error', {path: this.cache, error: err.message}, 'warn')})
+          }
+          for(const data of Array.isArray(test) ? test : []){
+            if(typeof(data.address) !== 'string' || !Array.isArray(data.relays)){
+              continue
+            }
+            try {
+              const test = parseAddress(data.address)
+              data.address = formatAddress(test.host, test.port)
+            } catch {
+              continue
+            }
+            this.known.set(data.address, {secure: data.secure === true, host: data.host, port: data.port, domain: data.domain, path: formatPath(data.path), relays: data.relays, seen: data.seen || 0, fails: data.fails || 0})
+            if(data.backoff && data.backoff.stamp && data.backoff.wait){
+              this.triedAlready.set(crypto.createHash('sha1').update(data.address).digest('hex'), {stamp: data.backoff.stamp, wait: data.backoff.wait})
+            }
+          }
+        }
         this.servers = new Map()
         this.clients = new Map()
-        this.triedAlready = new Map()
+        // clients that are waiting on authorize, they are not in clients yet
+        this.pending = new Set()
         if(!opts.hashes || !Array.isArray(opts.hashes) || !opts.hashes.length || !opts.hashes.every((data) => {return typeof(data) === 'string'})){
           throw new Error('hashes must be an array and must not be an empty array')
         }
         this.hashes = new Set(opts.hashes)
         this.relays = new Map((() => {const test = [];this.hashes.forEach((data) => {test.push([crypto.createHash('sha1').update(data).digest('hex'), []])});return test;})())
+        this.sums = new Map((() => {const test = [];this.hashes.forEach((data) => {test.push([crypto.createHash('sha1').update(data).digest('hex'), data])});return test;})())
         // this.offers = new Map((() => {const test = [];this.hashes.forEach((data) => {test.push([data, new Set()])});return test;})())
         this.offers = (() => {const test = {};this.hashes.forEach((data) => {test[data] = new Map()});return test;})()
+        // clients of every hash split by the room url param, the default room is an empty string
+        this.rooms = (() => {const test = {};this.hashes.forEach((data) => {test[data] = new Map()});return test;})()
 
-        this.http = http.createServer()
-        this.http.onError = (err) => {
-          this.emit('error', err)
+        this.attached = Boolean(opts.http)
+        if(opts.noServer){
+          this.http = null
+        } else if(opts.http){
+          this.http = opts.http
+          this.secure = this.secure || this.http instanceof https.Server
+        } else {
+          this.http = this.tls ? https.createServer(this.tls) : http.createServer()
         }
-        this.http.onListening = () => {
-          this.servers.forEach((soc) => {soc.send(JSON.stringify({action: 'on'}))})
-          this.emit('start', 'http')
-        }
-        this.http.onRequest = (req, res) => {
-          if(this.dev){
-            console.log('http req', req.url)
-          }
-          if(req.method === 'HEAD' && req.url === '/'){
-            res.statusCode = 200
-            res.end()
-          } else if(req.method === 'GET' && req.url === '/'){
-            res.statusCode = 200
-            res.setHeader('Content-Type', 'text/plain')
-            res.end('thanks for testing bittorrent-relay')
-          } else {
-            res.statusCode = 400
-            res.setHeader('Content-Type', 'application/json')
-            res.end(JSON.stringify('invalid method or path'))
+        if(this.http){
+          this.http.onError = (err) => {
+            // failing to listen again after an outage is an outage too, try again later, a failed start is left to the caller
+            if(!this.http.listening && this.listened && this.restart && !this.restarting){
+              this.restarting = setTimeout(() => {
+                this.restarting = null
+                this.http.listen(this.port, this.server)
+              }, this.restart)
+            }
+            this.emit('error', err)
+          }
+          this.http.onListening = () => {
+            this.servers.forEach((soc) => {
+              if(soc.readyState === 1){
+                soc.send(JSON.stringify({action: 'on'}))
+              }
+            })
+            this.event('http:listening', {address: this.http.address()})
+          }
+          this.http.onRequest = (req, res) => {
+            if(!this.handleRequest(req, res)){
+              res.statusCode = 400
+              res.setHeader('Content-Type', 'application/json')
+              res.end(JSON.stringify('invalid method or path'))
+            }
+          }
+          this.http.onUpgrade = (req, socket, head) => {
+            this.handleUpgrade(req, socket, head)
+          }
+          this.http.onClose = () => {
+            // only an outage gets here, stop takes the listener off before it closes the http server
+            this.clients.forEach((data) => {
+              data.send(JSON.stringify({action: 'relay', relay: this.randomRelay(data.hash)}))
+              data.close()
+            })
+            this.servers.forEach((data) => {
+              if(data.readyState === 1){
+                data.send(JSON.stringify({action: 'off'}))
+              }
+            })
+            this.triedAlready.clear()
+            this.event('http:close', {restart: this.restart}, 'warn')
+            if(this.restart && !this.restarting){
+              this.restarting = setTimeout(() => {
+                this.restarting = null
+                this.http.listen(this.port, this.server)
+              }, this.restart)
+            }
           }
-        }
-        this.http.onClose = () => {
-          this.clients.forEach((data) => {
-            data.send(JSON.stringify({action: 'relay', relay: this.randomRelay(data.hash)}))
-            data.close()
-          })
-          this.servers.forEach((data) => {data.send(JSON.stringify({action: 'off'}))})
-          this.triedAlready.clear()
-          this.emit('stop', 'http')
-          setTimeout(() => {this.http.listen(this.port, this.host)}, 300000)
         }
         // this.http.handleListeners = () => {
         //   this.http.off('error', this.http.onError)
@@ -113,7 +332,9 @@ export default class Server extends EventEmitter {
           ...(typeof(opts.ws) === 'object' && !Array.isArray(opts.ws) ? opts.ws : {}),
           perMessageDeflate: false,
           clientTracking: false,
-          server: this.http
+          maxPayload: this.maxPayload,
+          // upgrades of a server that is not ours go through handleUpgrade so the ones of the host app are left alone
+          ...(this.http && !this.attached ? {server: this.http} : {noServer: true})
         })
         this.ws.onError = (err) => {
           this.emit('error', err)
@@ -124,11 +345,19 @@ export default class Server extends EventEmitter {
     
           // if resource usage is high, send only the url of another tracker
           // else handle websockets as usual
-          if(this.dev){
-            console.log('ws connection', req.url)
+          const url = this.route(req.url) || ''
+          socket.ip = normalizeHost(req.socket.remoteAddress)
+          this.event('ws:connection', {url, ip: socket.ip}, 'debug')
+          if(this.bans.has(socket.ip)){
+            if(this.bans.get(socket.ip) > Date.now()){
+              socket.send(JSON.stringify({action: 'error', error: 'banned', code: 'ban'}))
+              socket.close(1008)
+              return
+            }
+            this.bans.delete(socket.ip)
           }
-          if(req.url.startsWith('/signal?')){
-            const test = new URLSearchParams(req.url.slice(req.url.indexOf('?')))
+          if(url.startsWith('/signal?')){
+            const test = new URLSearchParams(url.slice(url.indexOf('?')))
             const hasHash = test.has('hash')
             const hasId = test.has('id')
             if(!hasHash || !hasId){
@@ -137,24 +366,77 @@ export default class Server extends EventEmitter {
             } else {
               const hash = test.get('hash')
               const id = test.get('id')
-              if(!this.hashes.has(hash) || this.clients.has(id)){
+              const room = test.get('room') || ''
+              const resume = test.get('resume')
+              if(!this.hashes.has(hash) || (this.clients.has(id) && !this.canResume(id, hash, resume))){
                 socket.send(JSON.stringify({action: 'error', error: 'must have hash and url params'}))
                 socket.close()
+              } else if(room.length > 128){
+                socket.send(JSON.stringify({action: 'error', error: 'room must not be longer than 128 characters'}))
+                socket.close()
+              } else if(this.draining || (this.limit.clientConnections && this.clients.size >= this.limit.clientConnections && !this.canResume(id, hash, resume))){
+                // full or draining, only new clients are sent to the least loaded server of the hash
+                socket.send(JSON.stringify({action: 'relay', relay: this.leastRelay(hash)}))
+                socket.close()
               } else {
-                socket.hash = hash
-                socket.id = id
-                socket.wait = 1
-                socket.stamp = Date.now()
-                socket.active = true
-                socket.ids = new Set()
-                socket.web = new Set()
-                socket.offers = new Set()
-                this.clients.set(socket.id, socket)
-                this.onClientConnection(socket)
+                // hold messages until the client is authorized, they are handled once the listeners are in place
+                socket.pause()
+                this.pending.add(socket)
+                this.authorize(req, hash, id, test.get('token')).then((allowed) => {
+                  this.pending.delete(socket)
+                  if(socket.readyState !== 1){
+                    return
+                  }
+                  socket.resume()
+                  if(!allowed){
+                    socket.send(JSON.stringify({action: 'error', error: 'not authorized'}))
+                    socket.close()
+                    return
+                  }
+                  if(this.canResume(id, hash, resume)){
+                    this.resumeClient(this.clients.get(id), socket)
+                    return
+                  }
+                  if(!this.hashes.has(hash) || this.clients.has(id)){
+                    socket.send(JSON.stringify({action: 'error', error: 'must have hash and url params'}))
+                    socket.close()
+                    return
+                  }
+                  if(this.draining || (this.limit.clientConnections && this.clients.size >= this.limit.clientConnections)){
+                    socket.send(JSON.stringify({action: 'relay', relay: this.leastRelay(hash)}))
+                    socket.close()
+                    return
+                  }
+                  socket.hash = hash
+                  socket.id = id
+                  socket.wait = 1
+                  socket.stamp = Date.now()
+                  socket.active = true
+                  socket.ids = new Set()
+                  socket.web = new Set()
+                  socket.offers = new Set()
+                  socket.routes = new Map()
+                  socket.room = room
+                  this.clients.set(socket.id, socket)
+                  if(!this.rooms[hash].has(room)){
+                    this.rooms[hash].set(room, new Set())
+                  }
+                  this.rooms[hash].get(room).add(socket.id)
+                  this.event('client:connect', {id, hash, room, ip: socket.ip})
+                  this.onClientConnection(socket)
+                }).catch((err) => {
+                  this.pending.delete(socket)
+                  this.emit('error', err)
+                  socket.resume()
+                  if(socket.readyState === 1){
+                    socket.send(JSON.stringify({action: 'error', error: 'not authorized'}))
+                    socket.close()
+                  }
+                })
               }
             }
-          } else if(req.url.startsWith('/relay?')){
-            const test = new URLSearchParams(req.url.slice(req.url.indexOf('?')))
+          } else if(url.startsWith('/relay?')){
+            const test = new URLSearchParams(url.slice(url.indexOf('?')))
             const hasHash = test.has('hash')
             const hasId = test.has('id')
             if(!hasHash || !hasId){
@@ -163,6 +445,12 @@ export default class Server extends EventEmitter {
             } else {
               const relay = test.get('hash')
               const id = test.get('id')
+              // the id of the url is not proven yet, a dial that did not prove its key gives way to a new one
+              const check = this.servers.get(id)
+              if(check && check.server && !check.proven){
+                this.servers.delete(id)
+                check.terminate()
+              }
               if(!this.relays.has(relay) || this.servers.has(id)){
                 socket.send(JSON.stringify({action: 'error', error: 'must have hash and id url params'}))
                 socket.close()
@@ -175,7 +463,7 @@ export default class Server extends EventEmitter {
                     socket.relay = relay
                     socket.relays = []
                     this.servers.set(socket.id, socket)
-                    socket.send(JSON.stringify({id: this.id, address: this.address, web: this.web, host: this.host, port: this.port, domain: this.domain, relay: hash, action: 'session'}))
+                    this.sendSession(socket, relay)
                     this.onServerConnection(socket)
                   } else {
                     socket.send(JSON.stringify({action: 'error', error: 'have reached the limit'}))
@@ -188,7 +476,7 @@ export default class Server extends EventEmitter {
                   socket.relays = []
                   socket.active = true
                   this.servers.set(socket.id, socket)
-                  socket.send(JSON.stringify({id: this.id, address: this.address, web: this.web, host: this.host, port: this.port, domain: this.domain, relay: hash, action: 'session'}))
+                  this.sendSession(socket, relay)
                   this.onServerConnection(socket)
                 }
               }
@@ -199,43 +487,53 @@ export default class Server extends EventEmitter {
           }
         }
         this.ws.onListening = () => {
-          this.emit('start', 'ws')
+          this.event('ws:listening')
         }
         this.ws.onClose = () => {
-          this.emit('stop', 'ws')
+          this.event('ws:close')
         }
     
         // this.intervalUsage(60000)
     
-        this.relay = new DHT()
+        if(opts.discovery){
+          this.relay = opts.discovery
+        } else if(opts.peers){
+          this.relay = new StaticDiscovery({peers: opts.peers})
+        } else {
+          this.relay = new DHT()
+        }
+        this.ownRelay = !opts.discovery && !opts.peers
         this.relay.onListening = () => {
-          this.emit('start', 'dht')
+          this.event('dht:listening')
         }
         this.relay.onReady = () => {
-          this.emit('ev', 'dht is ready')
+          this.event('dht:ready')
         }
         this.relay.onError = (err) => {
           this.emit('error', err)
         }
         this.relay.onClose = () => {
-          this.emit('stop', 'dht')
+          this.event('dht:close')
         }
         this.relay.onPeer = (peer, infoHash, from) => {
           // if not connected, then connect socket
           // share resource details on websocket
           const ih = infoHash.toString('hex')
 
-          if(this.dev){
-            console.log(peer, ih, from)
-          }
+          this.event('dht:peer', {host: peer.host, port: peer.port, relay: ih, hash: this.sums.get(ih) || null}, 'debug')
     
           if(!this.relays.has(ih)){
             return
           }
     
-          const useAddress = `${peer.host}:${peer.port}`
+          let useAddress
+          try {
+            useAddress = formatAddress(peer.host, peer.port)
+          } catch {
+            return
+          }
           const id = crypto.createHash('sha1').update(useAddress).digest('hex')
-          if(self.address === useAddress || self.id === id){
+          if(self.addresses.includes(useAddress) || self.id === id){
             return
           }
     
@@ -260,9 +558,10 @@ export default class Server extends EventEmitter {
           //   return
           // }
     
-          if(this.servers.has(id)){
-            const checkTracker = this.servers.get(id)
-            if(checkTracker.readyState === 1){
+          // servers are keyed by the id of their public key once they are in session
+          const checkTracker = this.servers.get(id) || Array.from(this.servers.values()).find((data) => {return data.dial === id || data.target === useAddress || (data.addresses && data.addresses.includes(useAddress))})
+          if(checkTracker){
+            if(checkTracker.readyState === 1 && checkTracker.session){
               const checkRelay = this.relays.get(ih)
               if(!checkRelay.find((data) => {return checkTracker.id === data.id})){
                 checkRelay.push(checkTracker)
@@ -270,6 +569,7 @@ export default class Server extends EventEmitter {
                   checkTracker.relays.push(ih)
                 }
                 checkTracker.send(JSON.stringify({action: 'add', relay: ih, reply: true}))
+                this.shareOffers(checkTracker, ih)
               }
             }
             return
@@ -277,53 +577,92 @@ export default class Server extends EventEmitter {
     
           if(this.limit.serverConnections){
             if(this.relays.get(ih).length < this.limit.serverConnections){
-              const relay = `ws://${useAddress}/relay?hash=${ih}&id=${this.id}`
-              const con = new WebSocket(relay)
+              const relay = `${this.dialUrl(useAddress, peer.path)}/relay?hash=${ih}&id=${this.id}`
+              const con = new WebSocket(relay, {maxPayload: this.maxPayload})
               con.server = false
               con.active = true
               con.relay = ih
               con.relays = []
               con.id = id
+              con.dial = id
+              con.target = useAddress
               this.servers.set(con.id, con)
               self.onServerConnection(con)
+              this.event('server:connect', {id, address: useAddress, relay: ih}, 'debug')
               return
             }
           } else {
-            const relay = `ws://${useAddress}/relay?hash=${ih}&id=${this.id}`
-            const con = new WebSocket(relay)
+            const relay = `${this.dialUrl(useAddress, peer.path)}/relay?hash=${ih}&id=${this.id}`
+            const con = new WebSocket(relay, {maxPayload: this.maxPayload})
             con.server = false
             con.active = true
             con.relay = ih
             con.relays = []
             con.id = id
+            con.dial = id
+            con.target = useAddress
             this.servers.set(con.id, con)
             self.onServerConnection(con)
+            this.event('server:connect', {id, address: useAddress, relay: ih}, 'debug')
             return
           }
         }
         if(this.useInit){
-          this.start(this.useRelay)
+          // errors are already emitted by the listeners
+          this.start().catch(() => {})
         }
     }
 
+    static createToken(secret, hash, id, expires = Date.now() + 3600000){
+      return `${expires}.${crypto.createHmac('sha256', secret).update(`${hash}:${id}:${expires}`).digest('hex')}`
+    }
+
+    static verifyToken(secret, token, hash, id){
+      if(typeof(token) !== 'string' || !token.includes('.')){
+        return false
+      }
+      const expires = token.slice(0, token.indexOf('.'))
+      if(!/^[0-9]+$/.test(expires) || Number(expires) < Date.now()){
+        return false
+      }
+      const test = Buffer.from(Server.createToken(secret, hash, id, expires))
+      const check = Buffer.from(token)
+      return test.length === check.length && crypto.timingSafeEqual(test, check)
+    }
+
     // start(){}
 
     // stop(){}
 
-    onClientConnection (socket) {
+    onClientConnection (socket, resumed) {
+      socket.buckets = new Map()
+      socket.strikes = 0
 
       if(this.limit.clientConnections){
-        if(this.clients.size > this.limit.clientConnections){
-          this.http.close()
+        if(this.clients.size === this.limit.clientConnections){
+          this.sendLoad()
         }
       }
 
+      if(this.grace){
+        socket.token = crypto.randomBytes(16).toString('hex')
+        socket.send(JSON.stringify({action: 'token', token: socket.token, grace: this.grace}))
+      }
+
       socket.onMessage = (data, buffer) => {
+        // invalid messages get an error back, the connection stays open
+        const test = this.parseMessage(clientSchemas, data)
+        this.countMessage('client', test.data ? test.data.action : null)
+        if(!this.checkRate(socket, 'client', test.data ? test.data.action : 'default')){
+          return
+        }
+        if(test.error){
+          socket.send(JSON.stringify({action: 'error', error: test.error, code: test.code}))
+          return
+        }
+        data = test.data
         try {
-          data = JSON.parse(data.toString('utf-8'))
-          if(this.dev){
-            console.log('ws client message', data)
-          }
+          this.event('client:message', {id: socket.id, hash: socket.hash, action: data.action}, 'debug')
           // if(message.action === 'pong'){
           //   socket.active = true
           // }
@@ -331,6 +670,26 @@ export default class Server extends EventEmitter {
             socket.wait = 2
             socket.stamp = null
             this.sessionOffers(socket, this.matchOffers(socket))
+          } else if(data.action === 'match'){
+            // ask for several peers at once, offers are left for the ones that could not be matched yet
+            socket.wait = 2
+            socket.stamp = null
+            const count = Number.isInteger(data.count) && data.count > 0 ? data.count : 1
+            for(let i = 0;i < count;i++){
+              if(this.isFull(socket)){
+                break
+              }
+              const test = this.matchOffers(socket)
+              if(!test && socket.offers.size >= this.limit.clientOffers){
+                break
+              }
+              this.sessionOffers(socket, test)
+            }
+          } else if(data.action === 'room'){
+            const room = this.rooms[socket.hash] && this.rooms[socket.hash].get(socket.room)
+            socket.send(JSON.stringify({action: 'room', room: socket.room, count: room ? room.size : 0}))
+          } else if(data.action === 'relays'){
+            socket.send(JSON.stringify({action: 'relays', relays: this.listRelays(socket.hash, data.sort === 'load') || []}))
           } else if(data.action === 'proc'){
             socket.wait = 3
             socket.stamp = Date.now()
@@ -340,6 +699,8 @@ export default class Server extends EventEmitter {
                 test.web.add(data.req)
                 test.ids.delete(data.req)
               }
+            } else if(socket.routes.has(data.res)){
+              this.forward(socket, data.res, data)
             }
             if(socket.ids.has(data.res) && !socket.web.has(data.res)){
               socket.web.add(data.res)
@@ -354,8 +715,13 @@ export default class Server extends EventEmitter {
               test.send(JSON.stringify(data))
               test.wait = 2
               test.stamp = Date.now()
+            } else if(socket.ids.has(data.res) && this.forward(socket, data.res, data)){
+              return
             } else {
+              socket.ids.delete(data.res)
+              socket.routes.delete(data.res)
               socket.send(JSON.stringify({action: 'interrupt', id: data.res}))
+              this.counters.interrupts++
               this.sessionOffers(socket, this.matchOffers(socket))
             }
           }
@@ -367,8 +733,13 @@ export default class Server extends EventEmitter {
               test.send(JSON.stringify(data))
               test.wait = 2
               test.stamp = Date.now()
+            } else if(socket.ids.has(data.req) && this.forward(socket, data.req, data)){
+              return
             } else {
+              socket.ids.delete(data.req)
+              socket.routes.delete(data.req)
               socket.send(JSON.stringify({action: 'interrupt', id: data.req}))
+              this.counters.interrupts++
               this.sessionOffers(socket, this.matchOffers(socket))
             }
           }
@@ -379,105 +750,287 @@ export default class Server extends EventEmitter {
       }
 
       socket.onError = (err) => {
-        this.emit('error', err)
+        if(err.code === 'WS_ERR_UNSUPPORTED_MESSAGE_LENGTH'){
+          this.limitSocket(socket, {socket: 'client', id: socket.id, hash: socket.hash, ip: socket.ip, action: null, strikes: socket.strikes, reason: 'size'})
+        }
+        this.event('client:error', {id: socket.id, hash: socket.hash, ip: socket.ip, error: err.message}, 'warn')
       }
 
       socket.onClose = (code, reason) => {
         socket.onHandle()
-        const offer = this.offers[socket.hash]
-        if(offer){
-          socket.offers.forEach((e) => {
-            if(offer.has(e)){
-              offer.delete(e)
-            }
-          })
+        if(this.grace && socket.token && this.clients.get(socket.id) === socket){
+          this.suspendClient(socket, code, reason)
+        } else {
+          socket.onFinish(code, reason)
         }
-        socket.offers.clear()
+      }
+
+      socket.onFinish = (code, reason) => {
+        this.withdrawOffers(socket)
         socket.ids.forEach((id) => {
           if(this.clients.has(id)){
             const matched = this.clients.get(id)
             matched.send(JSON.stringify({action: 'interrupt', id: socket.id}))
+            this.counters.interrupts++
             matched.ids.delete(socket.id)
             this.sessionOffers(matched, this.matchOffers(matched))
+          } else if(socket.routes.has(id)){
+            this.forward(socket, id, {action: 'interrupt', id: socket.id})
           }
         })
         socket.ids.clear()
         socket.web.clear()
-        this.clients.delete(socket.id)
-        this.emit('ev', `code: ${code} reason: ${reason.toString()}`)
+        socket.routes.clear()
+        if(this.clients.get(socket.id) === socket){
+          this.clients.delete(socket.id)
+        }
+        if(this.rooms[socket.hash] && this.rooms[socket.hash].has(socket.room)){
+          const room = this.rooms[socket.hash].get(socket.room)
+          room.delete(socket.id)
+          if(!room.size){
+            this.rooms[socket.hash].delete(socket.room)
+          }
+        }
+        if(this.limit.clientConnections && this.clients.size === this.limit.clientConnections - 1){
+          this.sendLoad()
+        }
+        this.event('client:close', {id: socket.id, hash: socket.hash, room: socket.room, code, reason: reason.toString()})
+      }
+
+      socket.onPong = () => {
+        socket.active = true
       }
 
       socket.onHandle = () => {
         socket.off('message', socket.onMessage)
         socket.off('error', socket.onError)
         socket.off('close', socket.onClose)
+        socket.off('pong', socket.onPong)
       }
 
       socket.on('message', socket.onMessage)
       socket.on('error', socket.onError)
       socket.on('close', socket.onClose)
+      socket.on('pong', socket.onPong)
+
+      if(!resumed){
+        this.sessionOffers(socket, this.matchOffers(socket))
+      }
+    }
 
-      this.sessionOffers(socket, this.matchOffers(socket))
+    suspendClient(socket, code, reason){
+      // keep the client around for the grace window, what is sent to it is queued for when it comes back
+      socket.suspended = true
+      socket.queue = []
+      socket.send = (data) => {
+        if(socket.queue.length < 100){
+          socket.queue.push(data)
+        }
+      }
+      socket.hadOffers = socket.offers.size
+      this.withdrawOffers(socket)
+      socket.graceTimer = setTimeout(() => {
+        socket.graceTimer = null
+        socket.onFinish(code, reason)
+      }, this.grace)
+      this.event('client:suspend', {id: socket.id, hash: socket.hash, code, reason: reason.toString(), grace: this.grace})
+    }
+    canResume(id, hash, token){
+      const test = this.clients.get(id)
+      if(!test || !test.suspended || test.hash !== hash || typeof(token) !== 'string'){
+        return false
+      }
+      const check = Buffer.from(test.token)
+      const data = Buffer.from(token)
+      return check.length === data.length && crypto.timingSafeEqual(check, data)
+    }
+    resumeClient(old, socket){
+      clearTimeout(old.graceTimer)
+      for(const m of ['hash', 'id', 'room', 'ids', 'web', 'offers', 'routes', 'wait', 'stamp']){
+        socket[m] = old[m]
+      }
+      socket.active = true
+      this.clients.set(socket.id, socket)
+      this.onClientConnection(socket, true)
+      for(const data of old.queue){
+        socket.send(data)
+      }
+      if(old.hadOffers){
+        this.sessionOffers(socket, this.matchOffers(socket))
+      }
+      this.event('client:resume', {id: socket.id, hash: socket.hash, queued: old.queue.length})
     }
 
     onServerConnection(socket){
+      socket.buckets = new Map()
+      socket.strikes = 0
+      socket.stamp = Date.now()
       // ifhash sent from messages exists already in this.sockets then close the socket
       socket.onOpen = () => {
         // do limit check
         // send the right messages
         // self.sockets[socket.id] = socket
-        if(socket.id){
-          if(this.triedAlready.has(socket.id)){
-            this.triedAlready.delete(socket.id)
+        socket.active = true
+        if(socket.dial){
+          if(this.triedAlready.has(socket.dial)){
+            this.triedAlready.delete(socket.dial)
           }
         }
-        socket.send(JSON.stringify({id: this.id, address: this.address, web: this.web, host: this.host, port: this.port, domain: this.domain, relay: socket.relay, action: 'session'}))
+        this.sendSession(socket, socket.relay)
       }
       socket.onError = (err) => {
-        let useSocket
-        if(socket.id){
-          useSocket = socket.id
-          if(this.triedAlready.has(socket.id)){
-            const check = this.triedAlready.get(socket.id)
+        // a server that can not be reached is not an error of this server, it is tried again after the backoff
+        const address = socket.address || socket.target || null
+        this.event('server:error', {id: socket.id || null, address, error: err.message}, 'warn')
+        if(socket.dial || socket.id){
+          const useSocket = socket.dial || socket.id
+          if(this.triedAlready.has(useSocket)){
+            const check = this.triedAlready.get(useSocket)
             check.stamp = Date.now()
             check.wait = check.wait * 2
           } else {
-            this.triedAlready.set(socket.id, {stamp: Date.now(), wait: 1})
+            this.triedAlready.set(useSocket, {stamp: Date.now(), wait: 1})
           }
-        } else {
-          useSocket = 'socket'
+          this.event('server:backoff', {id: useSocket, address, wait: this.triedAlready.get(useSocket).wait * 1000})
+        }
+        if(socket.dial && socket.target && !socket.key && !this.known.has(socket.target)){
+          // a server we never had a session with might only take wss, the next try switches between ws and wss
+          if(socket.url.startsWith('wss:')){
+            this.fallback.delete(socket.target)
+          } else {
+            this.fallback.add(socket.target)
+          }
+        }
+        if(socket.target && this.known.has(socket.target)){
+          const check = this.known.get(socket.target)
+          check.fails = (check.fails || 0) + 1
+          if(check.fails >= this.limit.peerFails){
+            this.known.delete(socket.target)
+          }
+          this.saveCache()
         }
-        err.msg = useSocket + ' had an error, will wait and try to connect later'
-        this.emit('error', err)
       }
       socket.onMessage = (data, buffer) => {
         // do limit check
         // send the right data
+        const test = this.parseMessage(serverSchemas, data)
+        this.countMessage('server', test.data ? test.data.action : null)
+        if(!this.checkRate(socket, 'server', test.data ? test.data.action : 'default')){
+          return
+        }
+        if(test.error){
+          // actions from newer versions are skipped, anything else is answered with an error
+          if(test.code !== 'unknown'){
+            socket.send(JSON.stringify({action: 'error', error: test.error, code: test.code}))
+          }
+          return
+        }
+        data = test.data
         try {
-          data = JSON.parse(data.toString('utf-8'))
-          if(this.dev){
-            console.log('ws server message', data)
+          this.event('server:message', {id: socket.id, action: data.action}, 'debug')
+          // nothing but the handshake is taken from a server until it proved its key
+          if(!socket.proven && !['session', 'proof', 'ping', 'pong', 'error'].includes(data.action)){
+            return
+          }
+          if(data.action === 'error'){
+            // a server turning us away is not an error of this server, like both servers dialing each other at once
+            this.event('server:rejected', {id: socket.id, address: socket.address || socket.target || null, error: data.error || null, code: data.code || null}, 'warn')
           }
           if(data.action === 'session'){
-            if(this.relays.has(data.id) || socket.relay !== data.relay || data.id !== crypto.createHash('sha1').update(data.address).digest('hex')){
+            // the id must come from the public key, the key proves itself with the proof message that follows
+            // every address is normalized, a session with an address that is not host:port is turned away
+            let addresses
+            try {
+              addresses = [data.address, ...(data.addresses || []).slice(0, 8)].map((e) => {
+                const test = parseAddress(e)
+                return formatAddress(test.host, test.port)
+              })
+            } catch {
               socket.close()
               return
             }
-            if(!socket.relays.includes(data.relay)){
-              socket.relays.push(data.relay)
+            if(socket.key || !/^[0-9a-f]{64}$/.test(data.key) || (data.version || 1) < minVersion || socket.relay !== data.relay || data.id === this.id || data.id !== crypto.createHash('sha1').update(Buffer.from(data.key, 'hex')).digest('hex') || (socket.server && socket.id !== data.id) || (this.trusted.size && !this.trusted.has(data.key))){
+              socket.close()
+              return
             }
-            // data.relays = [useRelay]
-            delete data.relay
-            delete socket.relay
-            for(const m in data){
+            if(this.servers.has(data.id) && this.servers.get(data.id) !== socket){
+              // both servers dialed each other, both keep the connection dialed by the lower id
+              const check = this.servers.get(data.id)
+              const dialer = (soc) => {return soc.server ? data.id : this.id}
+              if(check.session || dialer(check) < dialer(socket)){
+                socket.close()
+                return
+              }
+              check.close()
+            }
+            if(this.servers.get(socket.id) === socket){
+              this.servers.delete(socket.id)
+            }
+            for(const m of ['id', 'web', 'port', 'domain', 'key']){
               socket[m] = data[m]
             }
+            socket.host = normalizeHost(data.host)
+            socket.address = addresses[0]
+            socket.addresses = Array.from(new Set(addresses))
+            socket.secure = data.secure === true
+            socket.version = data.version || 1
+            this.servers.set(socket.id, socket)
+            socket.send(JSON.stringify({action: 'proof', sig: crypto.sign(null, Buffer.from(`${data.challenge}:${data.id}`), this.privateKey).toString('hex')}))
+          }
+          if(data.action === 'proof'){
+            if(!socket.key || socket.proven){
+              return
+            }
+            const key = crypto.createPublicKey({key: {kty: 'OKP', crv: 'Ed25519', x: Buffer.from(socket.key, 'hex').toString('base64url')}, format: 'jwk'})
+            if(!crypto.verify(null, Buffer.from(`${socket.challenge}:${this.id}`), key, Buffer.from(data.sig, 'hex'))){
+              socket.close()
+              return
+            }
+            socket.proven = true
+            // the relay of the url joins the relays of the server only now that it is who it says
+            if(!socket.relays.includes(socket.relay)){
+              socket.relays.push(socket.relay)
+            }
+            delete socket.relay
+            this.event('server:session', {id: socket.id, address: socket.address, addresses: socket.addresses, relays: socket.relays, version: socket.version, dialed: !socket.server})
+            // how the server is dialed again is only taken from a server that proved its key
+            const check = {...(this.known.get(socket.address) || {relays: []}), secure: socket.secure, host: socket.host, port: socket.port, domain: socket.domain, path: this.pathOf(socket.web)}
+            check.relays = Array.from(new Set([...check.relays, ...socket.relays]))
+            check.seen = Date.now()
+            check.fails = 0
+            this.known.set(socket.address, check)
+            this.fallback.delete(socket.address)
+            this.saveCache()
             for(const r of socket.relays){
               if(this.relays.has(r)){
                 this.relays.get(r).push(socket)
               }
             }
             socket.session = true
+            for(const r of socket.relays){
+              this.shareOffers(socket, r)
+            }
+            socket.send(JSON.stringify({action: 'load', clients: this.clients.size, capacity: this.limit.clientConnections}))
+            for(const r of socket.relays){
+              this.sharePeers(socket, r)
+            }
+          }
+          if(data.action === 'peers'){
+            if(!socket.session || !this.relays.has(data.relay) || !socket.relays.includes(data.relay) || !Array.isArray(data.peers)){
+              return
+            }
+            // learned servers are only dialed, they join the relay after their own session and proof
+            for(const peer of data.peers.slice(0, this.limit.peerExchange)){
+              if(typeof(peer) !== 'object' || peer === null || typeof(peer.host) !== 'string' || !peer.host || !Number.isInteger(peer.port) || peer.port < 1 || peer.port > 65535){
+                continue
+              }
+              this.relay.onPeer({host: peer.host, port: peer.port, path: formatPath(peer.path)}, Buffer.from(data.relay, 'hex'), null)
+            }
+          }
+          if(data.action === 'load'){
+            if(Number.isInteger(data.clients) && Number.isInteger(data.capacity) && data.clients >= 0 && data.capacity >= 0){
+              socket.load = {clients: data.clients, capacity: data.capacity}
+            }
           }
           if(data.action === 'add'){
             if(!this.relays.has(data.relay)){
@@ -493,6 +1046,12 @@ export default class Server extends EventEmitter {
             if(!socket.relays.includes(data.relay)){
               socket.relays.push(data.relay)
             }
+
+            if(data.reply){
+              socket.send(JSON.stringify({action: 'add', relay: data.relay}))
+            }
+
+            this.shareOffers(socket, data.relay)
           }
           if(data.action === 'sub'){
             if(!this.relays.has(data.relay)){
@@ -512,6 +1071,93 @@ export default class Server extends EventEmitter {
             if(socket.relays.includes(data.relay)){
               socket.relays.splice(socket.relays.indexOf(data.relay), 1)
             }
+
+            this.dropServer(socket, data.relay)
+          }
+          if(data.action === 'offer'){
+            if(!this.relays.has(data.relay) || !socket.relays.includes(data.relay)){
+              return
+            }
+            const hash = this.sums.get(data.relay)
+            const testing = this.offers[hash]
+            // the age keeps the creation time of the offer without trusting the clock of the other server
+            testing.set(data.id, {id: data.id, user: data.user, room: typeof(data.room) === 'string' ? data.room : '', remote: socket.id, stamp: Date.now() - (Number.isInteger(data.age) && data.age > 0 ? data.age : 0)})
+            // both servers get each other's offers, only the one with the higher id pairs a waiting client with it
+            if(this.id > socket.id){
+              for(const test of testing.values()){
+                if(test.remote || test.user === data.user || test.room !== testing.get(data.id).room || !this.clients.has(test.user)){
+                  continue
+                }
+                const chan = this.clients.get(test.user)
+                if(chan.ids.has(data.user) || chan.web.has(data.user) || this.isFull(chan)){
+                  continue
+                }
+                testing.delete(test.id)
+                chan.offers.delete(test.id)
+                this.sendRelay(hash, {action: 'unoffer', id: test.id})
+                this.sessionOffers(chan, this.matchOffers(chan))
+                break
+              }
+            }
+          }
+          if(data.action === 'unoffer'){
+            if(!this.relays.has(data.relay)){
+              return
+            }
+            const testing = this.offers[this.sums.get(data.relay)]
+            const test = testing.get(data.id)
+            if(test && test.remote === socket.id){
+              testing.delete(data.id)
+            }
+          }
+          if(data.action === 'take'){
+            if(!this.relays.has(data.relay) || !socket.relays.includes(data.relay)){
+              return
+            }
+            const hash = this.sums.get(data.relay)
+            const testing = this.offers[hash]
+            const chan = this.clients.get(data.user)
+            if(chan && chan.hash === hash && chan.offers.has(data.id) && testing.has(data.id) && !this.isFull(chan)){
+              testing.delete(data.id)
+              chan.offers.delete(data.id)
+              chan.ids.add(data.by)
+              chan.routes.set(data.by, socket.id)
+              this.sendRelay(hash, {action: 'unoffer', id: data.id})
+              if(this.isFull(chan)){
+                this.withdrawOffers(chan)
+              }
+            } else {
+              socket.send(JSON.stringify({action: 'signal', relay: data.relay, to: data.by, from: data.user, data: {action: 'interrupt', id: data.user}}))
+            }
+          }
+          if(data.action === 'signal'){
+            if(!this.relays.has(data.relay) || !socket.relays.includes(data.relay) || typeof(data.data) !== 'object' || data.data === null){
+              return
+            }
+            const hash = this.sums.get(data.relay)
+            const test = this.clients.get(data.to)
+            if(!test || test.hash !== hash || test.routes.get(data.from) !== socket.id || (!test.ids.has(data.from) && !test.web.has(data.from))){
+              if(data.data.action === 'request' || data.data.action === 'response'){
+                socket.send(JSON.stringify({action: 'signal', relay: data.relay, to: data.from, from: data.to, data: {action: 'interrupt', id: data.to}}))
+              }
+              return
+            }
+            if(data.data.action === 'request' || data.data.action === 'response'){
+              test.send(JSON.stringify(data.data))
+              test.wait = 2
+              test.stamp = Date.now()
+            } else if(data.data.action === 'proc'){
+              if(test.ids.has(data.from) && !test.web.has(data.from)){
+                test.web.add(data.from)
+                test.ids.delete(data.from)
+              }
+            } else if(data.data.action === 'interrupt'){
+              test.send(JSON.stringify({action: 'interrupt', id: data.from}))
+              this.counters.interrupts++
+              test.ids.delete(data.from)
+              test.routes.delete(data.from)
+              this.sessionOffers(test, this.matchOffers(test))
+            }
           }
           if(data.action === 'ping'){
             socket.send(JSON.stringify({action: 'pong'}))
@@ -542,7 +1188,6 @@ export default class Server extends EventEmitter {
             }
           }
         } catch (err) {
-          err.msg = socket.id || 'socket' + ' had an error, will wait and try to connect later'
           this.emit('error', err)
           socket.close()
         }
@@ -554,7 +1199,7 @@ export default class Server extends EventEmitter {
           for(const soc of socket.relays){
             if(this.relays.has(soc)){
               const checkRelay = this.relays.get(soc)
-              const i = checkRelay.findIndex((datas) => {return socket.id === datas.id})
+              const i = checkRelay.indexOf(socket)
               if(i !== -1){
                 checkRelay.splice(i, 1)
               }
@@ -563,12 +1208,20 @@ export default class Server extends EventEmitter {
         }
   
         if(socket.id){
-          if(this.servers.has(socket.id)){
+          if(this.servers.get(socket.id) === socket){
             this.servers.delete(socket.id)
           }
         }
+
+        if(socket.proven){
+          this.dropServer(socket)
+        }
   
-        this.emit('ev', `code: ${code} reason: ${reason.toString()}`)
+        this.event('server:close', {id: socket.id, address: socket.address || socket.target || null, proven: Boolean(socket.proven), code, reason: reason.toString()})
+      }
+
+      socket.onPong = () => {
+        socket.active = true
       }
 
       socket.handleListeners = () => {
@@ -576,51 +1229,327 @@ export default class Server extends EventEmitter {
         socket.off('error', socket.onError)
         socket.off('message', socket.onMessage)
         socket.off('close', socket.onClose)
+        socket.off('pong', socket.onPong)
       }
       
       socket.on('open', socket.onOpen)
       socket.on('error', socket.onError)
       socket.on('message', socket.onMessage)
       socket.on('close', socket.onClose)
+      socket.on('pong', socket.onPong)
     }
 
     matchOffers(socket){
       const testing = this.offers[socket.hash]
-      if(testing){
-        for(const test of testing.values()){
-          if(socket.id === test.user || socket.web.has(test.user) || socket.ids.has(test.user)){
-            continue
-          } else {
-            testing.delete(test.id)
-            if(this.clients.has(test.user)){
-              const chan = this.clients.get(test.user)
-              chan.offers.delete(test.id)
-              return chan
-            } else {
-              continue
+      if(testing && !this.draining && !this.isFull(socket)){
+        const candidates = this.eligibleOffers(socket)
+        while(candidates.length){
+          const test = this.matcher(socket, candidates, this)
+          if(!test || !candidates.includes(test)){
+            break
+          }
+          candidates.splice(candidates.indexOf(test), 1)
+          testing.delete(test.id)
+          if(test.remote){
+            const soc = this.servers.get(test.remote)
+            if(soc && soc.session && soc.readyState === 1){
+              soc.send(JSON.stringify({action: 'take', relay: crypto.createHash('sha1').update(socket.hash).digest('hex'), id: test.id, user: test.user, by: socket.id}))
+              return {id: test.user, remote: soc.id}
             }
+          } else if(this.clients.has(test.user)){
+            const chan = this.clients.get(test.user)
+            chan.offers.delete(test.id)
+            this.sendRelay(socket.hash, {action: 'unoffer', id: test.id})
+            return chan
           }
         }
       }
       return null
     }
+    eligibleOffers(socket){
+      // offers the client can be matched with, oldest first, expired offers are dropped on the way
+      const now = Date.now()
+      const test = []
+      for(const data of this.offers[socket.hash].values()){
+        if(now - data.stamp > this.offerTimeout){
+          this.expireOffer(socket.hash, data)
+        } else if(socket.id === data.user || socket.room !== data.room || socket.web.has(data.user) || socket.ids.has(data.user)){
+          continue
+        } else if(!data.remote && this.clients.has(data.user) && this.isFull(this.clients.get(data.user))){
+          continue
+        } else {
+          test.push(data)
+        }
+      }
+      return test.sort((a, b) => {return a.stamp - b.stamp})
+    }
+    degreeOf(test){
+      // peers of the client behind an offer, clients on other servers count as having none
+      if(test.remote || !this.clients.has(test.user)){
+        return 0
+      }
+      const chan = this.clients.get(test.user)
+      return chan.ids.size + chan.web.size
+    }
+    isFull(socket){
+      return Boolean(this.limit.clientPeers) && socket.ids.size + socket.web.size >= this.limit.clientPeers
+    }
+    withdrawOffers(socket){
+      const offer = this.offers[socket.hash]
+      socket.offers.forEach((e) => {
+        if(offer && offer.has(e)){
+          offer.delete(e)
+          this.sendRelay(socket.hash, {action: 'unoffer', id: e})
+        }
+      })
+      socket.offers.clear()
+    }
+    expireOffer(hash, test){
+      this.offers[hash].delete(test.id)
+      if(!test.remote){
+        this.sendRelay(hash, {action: 'unoffer', id: test.id})
+        if(this.clients.has(test.user)){
+          const chan = this.clients.get(test.user)
+          chan.offers.delete(test.id)
+          chan.send(JSON.stringify({action: 'expire', id: test.id}))
+          if(!chan.offers.size && !chan.stamp){
+            chan.stamp = Date.now()
+          }
+        }
+      }
+      this.event('offer:expire', {id: test.id, user: test.user, hash, remote: test.remote || null})
+    }
     sessionOffers(reqSocket, resSocket){
       if(resSocket){
-        resSocket.ids.add(reqSocket.id)
+        this.counters.matches++
+        if(resSocket.remote){
+          reqSocket.routes.set(resSocket.id, resSocket.remote)
+        } else {
+          resSocket.ids.add(reqSocket.id)
+        }
         reqSocket.ids.add(resSocket.id)
+        // a client that reached its peer limit takes no more matches, its offers are withdrawn
+        for(const test of [reqSocket, resSocket]){
+          if(!test.remote && this.isFull(test)){
+            this.withdrawOffers(test)
+          }
+        }
         reqSocket.send(JSON.stringify({req: reqSocket.id, res: resSocket.id, action: 'init'}))
+        this.event('client:match', {id: reqSocket.id, peer: resSocket.id, hash: reqSocket.hash, room: reqSocket.room, remote: resSocket.remote || null})
         reqSocket.wait = 2
         reqSocket.stamp = Date.now()
       } else {
         const test = this.offers[reqSocket.hash]
-        if(test){
+        if(test && !this.draining && reqSocket.offers.size < this.limit.clientOffers && !this.isFull(reqSocket)){
           const waiting = crypto.randomUUID()
-          test.set(waiting, {id: waiting, user: reqSocket.id})
+          test.set(waiting, {id: waiting, user: reqSocket.id, room: reqSocket.room, stamp: Date.now()})
           reqSocket.offers.add(waiting)
+          // waiting in the pool is timed by offerTimeout, not by the timeout of the stage
+          reqSocket.stamp = null
+          this.sendRelay(reqSocket.hash, {action: 'offer', id: waiting, user: reqSocket.id, room: reqSocket.room, age: 0})
+        }
+      }
+    }
+    handleRequest(req, res){
+      // express and the like strip the path they are mounted on from req.url, originalUrl still has it
+      const url = this.route(req.originalUrl || req.url)
+      if(url === null){
+        return false
+      }
+      this.event('http:request', {method: req.method, url}, 'debug')
+      if(req.method === 'HEAD' && url === '/'){
+        res.statusCode = 200
+        res.end()
+      } else if(req.method === 'GET' && url === '/'){
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain')
+        res.end('thanks for testing bittorrent-relay')
+      } else if(req.method === 'GET' && (url === '/relays' || url.startsWith('/relays?'))){
+        const test = new URLSearchParams(url.includes('?') ? url.slice(url.indexOf('?')) : '')
+        const relays = test.has('hash') ? this.listRelays(test.get('hash'), test.get('sort') === 'load') : null
+        res.statusCode = relays ? 200 : 404
+        res.setHeader('Content-Type', 'application/json')
+        res.setHeader('Access-Control-Allow-Origin', '*')
+        res.end(JSON.stringify(relays || 'hash is not supported'))
+      } else if(this.useMetrics && req.method === 'GET' && url === '/metrics'){
+        res.statusCode = 200
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        res.end(this.getMetrics())
+      } else if(this.useStats && req.method === 'GET' && (url === '/stats' || url.startsWith('/stats/'))){
+        let test
+        try {
+          test = url === '/stats' ? this.getStats() : this.getStats(decodeURIComponent(url.slice('/stats/'.length)), true)
+        } catch {
+          test = null
+        }
+        res.statusCode = test ? 200 : 404
+        res.setHeader('Content-Type', 'application/json')
+        res.end(JSON.stringify(test || 'hash is not supported'))
+      } else {
+        return false
+      }
+      return true
+    }
+    handleUpgrade(req, socket, head){
+      const url = this.route(req.url)
+      if(url === null || !(url.startsWith('/signal?') || url.startsWith('/relay?'))){
+        return false
+      }
+      this.ws.handleUpgrade(req, socket, head, (ws) => {
+        this.ws.emit('connection', ws, req)
+      })
+      return true
+    }
+    route(url){
+      // the path under the prefix, null if the url is not under it
+      if(!this.prefix){
+        return url
+      }
+      if(url !== this.prefix && !url.startsWith(this.prefix + '/') && !url.startsWith(this.prefix + '?')){
+        return null
+      }
+      return url.slice(this.prefix.length).startsWith('/') ? url.slice(this.prefix.length) : '/' + url.slice(this.prefix.length)
+    }
+    async authorize(req, hash, id, token){
+      if(this.secret && !Server.verifyToken(this.secret, token, hash, id)){
+        return false
+      }
+      if(this.auth){
+        // a hook that does not answer before the connect timeout lets nobody in
+        let timer
+        const timeout = new Promise((resolve) => {timer = setTimeout(() => {resolve(false)}, this.timeouts.connect)})
+        try {
+          return Boolean(await Promise.race([this.auth(req, hash, id), timeout]))
+        } finally {
+          clearTimeout(timer)
+        }
+      }
+      return true
+    }
+    sendSession(socket, relay){
+      socket.challenge = crypto.randomBytes(32).toString('hex')
+      socket.send(JSON.stringify({id: this.id, key: this.key, challenge: socket.challenge, address: this.address, addresses: this.addresses.slice(1), web: this.web, host: this.host, port: this.port, domain: this.domain, secure: this.secure, relay, version, action: 'session'}))
+    }
+    dialUrl(address, path){
+      // servers that said they accept wss are reached through their domain so the certificate matches
+      // and under the path their web has, the others under the path discovery gave or else under our own prefix
+      const test = this.known.get(address)
+      path = test && typeof(test.path) === 'string' ? test.path : (typeof(path) === 'string' ? path : this.prefix)
+      if(test && test.secure){
+        return `wss://${formatAddress(test.domain || test.host, test.port)}${path}`
+      }
+      return `${!test && this.fallback.has(address) ? 'wss' : 'ws'}://${address}${path}`
+    }
+    pathOf(web){
+      // the prefix in the web of a server, null if it did not send one we can use
+      if(typeof(web) !== 'string'){
+        return null
+      }
+      return formatPath(web.includes('/') ? web.slice(web.indexOf('/')) : '')
+    }
+    forward(socket, id, data){
+      // hand a message for a client on another server to the relay socket it was matched through
+      if(!socket.routes.has(id)){
+        return false
+      }
+      // a server that went off, like one that drains, still carries the negotiations that already went through it
+      const soc = this.servers.get(socket.routes.get(id))
+      if(!soc || !soc.proven || soc.readyState !== 1){
+        socket.routes.delete(id)
+        return false
+      }
+      soc.send(JSON.stringify({action: 'signal', relay: crypto.createHash('sha1').update(socket.hash).digest('hex'), to: id, from: socket.id, data}))
+      return true
+    }
+    sendRelay(hash, data){
+      const relay = crypto.createHash('sha1').update(hash).digest('hex')
+      if(!this.relays.has(relay)){
+        return
+      }
+      data.relay = relay
+      const test = JSON.stringify(data)
+      for(const soc of this.relays.get(relay)){
+        if(soc.session && soc.readyState === 1){
+          soc.send(test)
+        }
+      }
+    }
+    sharePeers(socket, relay){
+      // tell a server about the other servers of a relay we have in common
+      if(!this.relays.has(relay) || !socket.session || socket.readyState !== 1){
+        return
+      }
+      const peers = []
+      for(const test of this.relays.get(relay)){
+        if(peers.length >= this.limit.peerExchange){
+          break
+        }
+        if(test !== socket && test.session && test.addresses){
+          // every address of a server is shared, the other server dials the ones it can reach
+          for(const data of test.addresses.slice(0, this.limit.peerExchange - peers.length)){
+            peers.push({...parseAddress(data), path: this.pathOf(test.web)})
+          }
+        }
+      }
+      if(peers.length){
+        socket.send(JSON.stringify({action: 'peers', relay, peers}))
+      }
+    }
+    shareOffers(socket, relay){
+      // advertise the offers of our own clients to a server that just joined the relay
+      if(!this.sums.has(relay) || !socket.session || socket.readyState !== 1){
+        return
+      }
+      for(const test of this.offers[this.sums.get(relay)].values()){
+        if(!test.remote){
+          socket.send(JSON.stringify({action: 'offer', relay, id: test.id, user: test.user, room: test.room, age: Date.now() - test.stamp}))
+        }
+      }
+    }
+    dropServer(socket, relay){
+      // forget the offers of a server and interrupt the negotiations that went through it
+      for(const [r, hash] of this.sums.entries()){
+        if(relay && relay !== r){
+          continue
+        }
+        const testing = this.offers[hash]
+        for(const test of testing.values()){
+          if(test.remote === socket.id){
+            testing.delete(test.id)
+          }
+        }
+      }
+      for(const test of this.clients.values()){
+        if(relay && this.sums.get(relay) !== test.hash){
+          continue
+        }
+        for(const [id, server] of test.routes.entries()){
+          if(server !== socket.id){
+            continue
+          }
+          test.routes.delete(id)
+          if(test.ids.has(id)){
+            test.ids.delete(id)
+            test.send(JSON.stringify({action: 'interrupt', id}))
+            this.counters.interrupts++
+            this.sessionOffers(test, this.matchOffers(test))
+          }
         }
       }
     }
     start(){
+      // started already, like with opts.init, gives the same promise
+      if(this.starting){
+        return this.starting
+      }
+      if(this.ownRelay && this.relay.destroyed){
+        // a dht can not listen again once it is destroyed, started again after stop gets a new one
+        const test = new DHT()
+        for(const m of ['onListening', 'onReady', 'onPeer', 'onError', 'onClose']){
+          test[m] = this.relay[m]
+        }
+        this.relay = test
+      }
       this.relay.on('listening', this.relay.onListening)
       this.relay.on('ready', this.relay.onReady)
       this.relay.on('peer', this.relay.onPeer)
@@ -628,62 +1557,148 @@ export default class Server extends EventEmitter {
       this.relay.on('close', this.relay.onClose)
       if(this.useRelay){
         if(!this.relay.listening){
-          this.relay.listen(this.port, this.server)
+          // the dht is ipv4 only, with an ipv6 or no server it takes every ipv4 address
+          this.relay.listen(this.port, this.server && !formatHost(this.server).startsWith('[') ? this.server : undefined)
         }
       }
       this.ws.on('listening', this.ws.onListening)
       this.ws.on('connection', this.ws.onConnection)
       this.ws.on('error', this.ws.onError)
       this.ws.on('close', this.ws.onClose)
-      this.http.on('listening', this.http.onListening)
-      this.http.on('request', this.http.onRequest)
-      this.http.on('error', this.http.onError)
-      this.http.on('close', this.http.onClose)
-      if(!this.http.listening){
-        this.http.listen(this.port, this.server)
+      if(this.attached){
+        this.http.on('listening', this.http.onListening)
+        this.http.on('upgrade', this.http.onUpgrade)
+      } else if(this.http){
+        this.http.on('listening', this.http.onListening)
+        this.http.on('request', this.http.onRequest)
+        this.http.on('error', this.http.onError)
+        this.http.on('close', this.http.onClose)
       }
+      // an attached server is listened on by the host app, start waits for it
+      const listening = new Promise((resolve, reject) => {
+        if(!this.http || this.http.listening){
+          this.listened = true
+          resolve()
+          return
+        }
+        const onListening = () => {
+          this.http.off('error', onError)
+          this.listened = true
+          resolve()
+        }
+        const onError = (err) => {
+          this.http.off('listening', onListening)
+          reject(err)
+        }
+        this.http.once('listening', onListening)
+        this.http.once('error', onError)
+        if(!this.attached){
+          this.http.listen(this.port, this.server)
+        }
+      })
       if(!this.check){
         this.check = setInterval(() => {
-          for(const test in this.servers.values()){
+          this.sendLoad()
+          // idle buckets are full again so they can be dropped, strikes start over every interval
+          for(const [ip, test] of this.ips){
+            for(const [action, check] of test){
+              if(Date.now() - check.stamp > this.timer){
+                test.delete(action)
+              }
+            }
+            if(!test.size){
+              this.ips.delete(ip)
+            }
+          }
+          for(const [ip, test] of this.strikes){
+            if(Date.now() - test.stamp > this.rate.banTime){
+              this.strikes.delete(ip)
+            }
+          }
+          for(const [ip, test] of this.bans){
+            if(test < Date.now()){
+              this.bans.delete(ip)
+            }
+          }
+          for(const hash in this.offers){
+            for(const test of this.offers[hash].values()){
+              if(Date.now() - test.stamp > this.offerTimeout){
+                this.expireOffer(hash, test)
+              }
+            }
+          }
+          for(const test of this.servers.values()){
+            if(!test.proven && Date.now() - test.stamp > this.timeouts.handshake){
+              test.terminate()
+              this.event('server:reap', {id: test.id, address: test.address || test.target || null, reason: 'handshake'}, 'warn')
+              continue
+            }
             if(!test.active){
               test.terminate()
+              this.event('server:reap', {id: test.id, address: test.address || test.target || null, reason: test.readyState === 0 ? 'connect' : 'heartbeat'}, 'warn')
               continue
-            } else {
-              test.active = false
-              test.send(JSON.stringify({action: 'ping'}))
-            }
-          }
-          for(const test in this.clients.values()){
-            // if(!test.active){
-            //   test.terminate()
-            //   continue
-            // } else {
-            //   test.active = false
-            //   test.send(JSON.stringify({action: 'ping'}))
-            // }
+            }
+            test.active = false
+            test.strikes = 0
+            if(test.readyState === 1){
+              test.ping()
+            }
+          }
+          for(const test of this.clients.values()){
+            if(test.suspended){
+              continue
+            }
+            if(!test.active){
+              test.terminate()
+              this.event('client:reap', {id: test.id, hash: test.hash, reason: 'heartbeat'})
+              continue
+            }
+            test.active = false
+            test.strikes = 0
+            if(test.readyState === 1){
+              test.ping()
+            }
             if(test.wait === 1){
               if(test.stamp){
-                if((Date.now() - test.stamp) > 45000){
+                if((Date.now() - test.stamp) > this.timeouts.connect){
                   test.close()
+                  this.counters.timeouts[1]++
+                  this.event('client:reap', {id: test.id, hash: test.hash, reason: 'connect'})
                 }
               }
             } else if(test.wait === 2){
               if(test.stamp){
-                if((Date.now() - test.stamp) > 30000){
+                if((Date.now() - test.stamp) > this.timeouts.signal){
                   test.close()
+                  this.counters.timeouts[2]++
+                  this.event('client:reap', {id: test.id, hash: test.hash, reason: 'signal'})
                 }
               }
             } else if(test.wait === 3){
               if(test.stamp){
-                if((Date.now() - test.stamp) > 45000){
+                if((Date.now() - test.stamp) > this.timeouts.proc){
                   test.close()
+                  this.counters.timeouts[3]++
+                  this.event('client:reap', {id: test.id, hash: test.hash, reason: 'proc'})
                 }
               }
             } else {
               continue
             }
           }
-        }, 60000)
+        }, this.timer)
+      }
+
+      // servers from the cache are tried right away instead of waiting on the discovery
+      for(const [address, data] of this.known){
+        if(!data.relays || !data.host || !data.port){
+          continue
+        }
+        for(const relay of data.relays){
+          if(this.relays.has(relay)){
+            this.relay.onPeer(parseAddress(address), Buffer.from(relay, 'hex'), null)
+          }
+        }
       }
 
       this.talk()
@@ -691,28 +1706,44 @@ export default class Server extends EventEmitter {
       if(!this.talking){
         this.talking = setInterval(() => {this.talk()}, 1800000)
       }
+
+      this.starting = listening.then(() => {return this})
+      this.starting.catch(() => {
+        // a failed start is undone so start can be called again
+        this.starting = null
+        this.detach()
+        clearInterval(this.check)
+        this.check = null
+        clearInterval(this.talking)
+        this.talking = null
+      })
+      return this.starting
     }
-    stop(){
-      this.ws.off('listening', this.ws.onListening)
-      this.ws.off('connection', this.ws.onConnection)
-      this.ws.off('error', this.ws.onError)
-      this.ws.off('close', this.ws.onClose)
-      this.http.off('listening', this.http.onListening)
-      this.http.off('request', this.http.onRequest)
-      this.http.off('error', this.http.onError)
-      this.http.off('close', this.http.onClose)
-      if(this.http.listening){
-        this.http.close()
-      }
+    detach(){
+      // take off the listeners start put on the dht, the ws server and the http server
       this.relay.off('listening', this.relay.onListening)
       this.relay.off('ready', this.relay.onReady)
       this.relay.off('peer', this.relay.onPeer)
       this.relay.off('error', this.relay.onError)
       this.relay.off('close', this.relay.onClose)
-      if(this.useRelay){
-        if(this.relay.listening){
-          this.relay.destroy()
-        }
+      this.ws.off('listening', this.ws.onListening)
+      this.ws.off('connection', this.ws.onConnection)
+      this.ws.off('error', this.ws.onError)
+      this.ws.off('close', this.ws.onClose)
+      if(this.http){
+        this.http.off('listening', this.http.onListening)
+        this.http.off('request', this.http.onRequest)
+        this.http.off('upgrade', this.http.onUpgrade)
+        this.http.off('error', this.http.onError)
+        this.http.off('close', this.http.onClose)
+      }
+    }
+    async stop(){
+      this.starting = null
+      this.listened = false
+      if(this.restarting){
+        clearTimeout(this.restarting)
+        this.restarting = null
       }
       if(this.check){
         clearInterval(this.check)
@@ -722,9 +1753,155 @@ export default class Server extends EventEmitter {
         clearInterval(this.talking)
         this.talking = null
       }
+      this.detach()
+
+      // servers are told we are going away, clients are closed for good and suspended clients are finished
+      const closing = []
+      for(const test of this.servers.values()){
+        if(test.readyState === 1){
+          test.send(JSON.stringify({action: 'off'}))
+        }
+        if(test.readyState !== 3){
+          closing.push(new Promise((resolve) => {test.once('close', resolve)}))
+        }
+        if(test.readyState === 0){
+          test.off('error', test.onError)
+          test.on('error', () => {})
+          test.terminate()
+        } else if(test.readyState === 1){
+          test.close(1001)
+        }
+      }
+      for(const test of this.pending){
+        test.terminate()
+      }
+      this.pending.clear()
+      for(const test of this.clients.values()){
+        if(test.suspended){
+          clearTimeout(test.graceTimer)
+          test.graceTimer = null
+          test.onFinish(1001, Buffer.from('stop'))
+          continue
+        }
+        test.token = null
+        if(test.readyState !== 3){
+          closing.push(new Promise((resolve) => {test.once('close', resolve)}))
+        }
+        if(test.readyState === 1){
+          test.close(1001)
+        }
+      }
+      // sockets that do not finish the close handshake in time are cut off
+      const cutoff = setTimeout(() => {
+        for(const test of [...this.servers.values(), ...this.clients.values()]){
+          if(test.readyState !== 3){
+            test.terminate()
+          }
+        }
+      }, 5000)
+      await Promise.all(closing)
+      clearTimeout(cutoff)
+
+      if(this.http && !this.attached && this.http.listening){
+        await new Promise((resolve) => {
+          this.http.close(() => {resolve()})
+          this.http.closeAllConnections()
+        })
+      }
+      if(this.useRelay || this.ownRelay){
+        await new Promise((resolve) => {this.relay.destroy(() => {resolve()})})
+      } else if(typeof(this.relay.unannounce) === 'function'){
+        // a discovery we were given is left running for whoever else uses it, it only stops pointing at us
+        for(const test of this.relays.keys()){
+          this.relay.unannounce(test, this.port, (err) => {
+            if(err){
+              this.emit('error', err)
+            }
+          })
+        }
+      }
+      this.event('relay:stop')
+      return this
     }
-    talk(){
-      for(const test of this.relays.keys()){
+    async drain(opts = {}){
+      // nothing new comes in or gets matched, negotiations that already started get until the timeout to finish
+      const timeout = opts.timeout || 30000
+      this.draining = Date.now()
+      for(const hash in this.offers){
+        for(const test of this.offers[hash].values()){
+          if(test.remote){
+            continue
+          }
+          this.offers[hash].delete(test.id)
+          if(this.clients.has(test.user)){
+            this.clients.get(test.user).offers.delete(test.id)
+          }
+          this.sendRelay(hash, {action: 'unoffer', id: test.id})
+        }
+      }
+      // off only keeps other servers from sending us new clients and matches, negotiations going through us go on
+      this.servers.forEach((data) => {
+        if(data.readyState === 1){
+          data.send(JSON.stringify({action: 'off'}))
+        }
+      })
+      this.clients.forEach((data) => {
+        // a relay message sends the client to another server once we close it
+        data.token = null
+        data.send(JSON.stringify({action: 'relay', relay: this.leastRelay(data.hash)}))
+      })
+      for(const test of this.pending){
+        test.terminate()
+      }
+      this.pending.clear()
+      this.event('relay:drain', {clients: this.clients.size, timeout})
+      await new Promise((resolve) => {
+        const check = () => {
+          for(const test of this.clients.values()){
+            if(test.suspended){
+              clearTimeout(test.graceTimer)
+              test.graceTimer = null
+              test.onFinish(1001, Buffer.from('drain'))
+            } else if(!test.ids.size && test.readyState === 1){
+              test.close(1001)
+            }
+          }
+          if(!this.clients.size || Date.now() - this.draining >= timeout){
+            resolve()
+          } else {
+            setTimeout(check, 100)
+          }
+        }
+        check()
+      })
+      await this.stop()
+      this.draining = null
+      return this
+    }
+    saveCache(){
+      if(!this.cache){
+        return
+      }
+      const test = []
+      for(const [address, data] of this.known){
+        if(!data.seen){
+          continue
+        }
+        const id = crypto.createHash('sha1').update(address).digest('hex')
+        test.push({address, host: data.host, port: data.port, domain: data.domain, secure: data.secure, path: data.path, relays: data.relays, seen: data.seen, fails: data.fails, backoff: this.triedAlready.get(id) || null})
+      }
+      try {
+        fs.writeFileSync(this.cache + '.tmp', JSON.stringify(test))
+        fs.renameSync(this.cache + '.tmp', this.cache)
+      } catch (err) {
+        this.emit('error', err)
+      }
+    }
+    talk(relays = this.relays.keys()){
+      for(const test of relays){
+        for(const soc of this.relays.get(test)){
+          this.sharePeers(soc, test)
+        }
         if(this.limit.serverConnections && this.relays.get(test).size >= this.limit.serverConnections){
           continue
         } else {
@@ -732,21 +1909,329 @@ export default class Server extends EventEmitter {
             if(err){
               this.emit('error', err)
             } else {
-              this.emit('ev', `${test}: ${num}`)
+              this.event('dht:lookup', {relay: test, hash: this.sums.get(test), peers: num}, 'debug')
             }
           })
           this.relay.announce(test, this.port, (err) => {
             if(err){
               this.emit('error', err)
             } else {
-              this.emit('ev', `announced: ${test}`)
+              this.event('dht:announce', {relay: test, hash: this.sums.get(test), port: this.port}, 'debug')
             }
           })
         }
       }
     }
-    randomRelay(hash){
+    addHash(hash){
+      if(typeof(hash) !== 'string' || !hash){
+        throw new Error('hash must be a non-empty string')
+      }
+      if(this.hashes.has(hash)){
+        return false
+      }
+      const relay = crypto.createHash('sha1').update(hash).digest('hex')
+      this.hashes.add(hash)
+      this.relays.set(relay, [])
+      this.sums.set(relay, hash)
+      this.offers[hash] = new Map()
+      this.rooms[hash] = new Map()
+
+      // servers we are already connected to might serve this hash too, they answer with an add if they do
+      this.servers.forEach((soc) => {
+        if(soc.session && soc.readyState === 1){
+          soc.send(JSON.stringify({action: 'add', relay, reply: true}))
+        }
+      })
+      if(this.talking){
+        this.talk([relay])
+      }
+      this.event('hash:add', {hash, relay})
+      return true
+    }
+    removeHash(hash){
+      if(!this.hashes.has(hash)){
+        return false
+      }
+      const relay = crypto.createHash('sha1').update(hash).digest('hex')
+
+      this.clients.forEach((data) => {
+        if(data.hash === hash){
+          if(data.suspended){
+            clearTimeout(data.graceTimer)
+            data.onFinish(1001, 'hash was removed')
+            return
+          }
+          // the hash is gone, there is nothing to resume
+          data.token = null
+          data.send(JSON.stringify({action: 'relay', relay: this.randomRelay(hash)}))
+          data.close()
+        }
+      })
+
+      for(const soc of this.relays.get(relay)){
+        if(soc.relays.includes(relay)){
+          soc.relays.splice(soc.relays.indexOf(relay), 1)
+        }
+        if(soc.readyState === 1){
+          soc.send(JSON.stringify({action: 'sub', relay}))
+        }
+        if(!soc.relays.length){
+          soc.close()
+        }
+      }
+
+      if(typeof(this.relay.unannounce) === 'function'){
+        this.relay.unannounce(relay, this.port, (err) => {
+          if(err){
+            this.emit('error', err)
+          }
+        })
+      }
+
+      this.hashes.delete(hash)
+      this.relays.delete(relay)
+      this.sums.delete(relay)
+      delete this.offers[hash]
+      delete this.rooms[hash]
+      this.event('hash:remove', {hash, relay})
+      return true
+    }
+    getStats(hash, open){
+      if(hash !== undefined){
+        if(!this.hashes.has(hash)){
+          return null
+        }
+        if(open){
+          // the route is open to anyone, ids of clients would tell them who to squat or interrupt
+          const test = this.getStats(hash)
+          return {...test, clients: test.clients.length, offers: test.offers.length}
+        }
+        const relay = crypto.createHash('sha1').update(hash).digest('hex')
+        const clients = []
+        this.clients.forEach((data) => {
+          if(data.hash === hash){
+            clients.push({id: data.id, room: data.room, wait: data.wait, stamp: data.stamp, offers: data.offers.size, ids: Array.from(data.ids), web: Array.from(data.web), remote: Array.from(data.routes.keys())})
+          }
+        })
+        return {
+          hash,
+          relay,
+          clients,
+          offers: Array.from(this.offers[hash].values()).map((data) => {return {id: data.id, user: data.user, room: data.room, remote: data.remote || null, stamp: data.stamp}}),
+          rooms: Array.from(this.rooms[hash].entries()).map(([room, data]) => {return {room, count: data.size}}),
+          servers: this.relays.get(relay).map((data) => {return {id: data.id, web: data.web || null, session: Boolean(data.session), server: Boolean(data.server), load: data.load || null}})
+        }
+      }
+      const hashes = {}
+      for(const test of this.hashes){
+        const relay = crypto.createHash('sha1').update(test).digest('hex')
+        hashes[test] = {relay, clients: 0, rooms: this.rooms[test].size, offers: 0, remoteOffers: 0, pending: 0, servers: this.relays.get(relay).length}
+        for(const data of this.offers[test].values()){
+          if(data.remote){
+            hashes[test].remoteOffers++
+          } else {
+            hashes[test].offers++
+          }
+        }
+      }
+      this.clients.forEach((data) => {
+        if(hashes[data.hash]){
+          hashes[data.hash].clients++
+          hashes[data.hash].pending = hashes[data.hash].pending + data.ids.size
+        }
+      })
+      return {
+        id: this.id,
+        key: this.key,
+        address: this.address,
+        web: this.web,
+        clients: this.clients.size,
+        servers: this.servers.size,
+        hashes,
+        triedAlready: Array.from(this.triedAlready.entries()).map(([id, data]) => {return {id, stamp: data.stamp, wait: data.wait}}),
+        dht: this.relay.nodes && typeof(this.relay.nodes.count) === 'function' ? this.relay.nodes.count() : 0
+      }
+    }
+    event(type, data = {}, level = 'info'){
+      const test = {...data, type, level, time: Date.now()}
+      if(type.endsWith(':error')){
+        this.counters.errors++
+      }
+      if(this.logger && levels[level] >= this.level){
+        this.logger[level](test)
+      }
+      this.emit(type, test)
+      this.emit('event', test)
+    }
+    emit(event, ...args){
+      if(event === 'error'){
+        this.counters.errors++
+      }
+      return super.emit(event, ...args)
+    }
+    takeToken(buckets, key, conf){
+      const now = Date.now()
+      if(!buckets.has(key)){
+        buckets.set(key, {tokens: conf.burst, stamp: now})
+      }
+      const test = buckets.get(key)
+      test.tokens = Math.min(conf.burst, test.tokens + ((now - test.stamp) / 1000) * conf.rate)
+      test.stamp = now
+      if(test.tokens < 1){
+        return false
+      }
+      test.tokens--
+      return true
+    }
+    checkRate(socket, type, action){
+      if(socket.limited){
+        return false
+      }
+      const rates = this.rate[type]
+      let allowed = this.takeToken(socket.buckets, action, rates[action] || rates.default)
+      if(allowed && type === 'client' && socket.ip){
+        if(!this.ips.has(socket.ip)){
+          this.ips.set(socket.ip, new Map())
+        }
+        allowed = this.takeToken(this.ips.get(socket.ip), action, this.rate.ip[action] || this.rate.ip.default)
+      }
+      if(allowed){
+        return true
+      }
+      // every limited message is a strike, the socket is warned, then its messages are dropped, then it is closed
+      socket.strikes++
+      const data = {socket: type, id: socket.id, hash: socket.hash, ip: socket.ip, action, strikes: socket.strikes, reason: 'rate'}
+      if(socket.strikes >= this.rate.disconnect){
+        this.limitSocket(socket, data)
+      } else if(socket.strikes <= this.rate.warn){
+        socket.send(JSON.stringify({action: 'error', error: `too many ${action} messages`, code: 'rate'}))
+        this.event(`${type}:limit`, {...data, response: 'warn'}, 'warn')
+      } else {
+        this.event(`${type}:limit`, {...data, response: 'drop'}, 'debug')
+      }
+      return false
+    }
+    limitSocket(socket, data){
+      // closed for abuse, the client can not resume and enough closes ban the ip
+      socket.limited = true
+      socket.token = null
+      this.event(`${data.socket}:limit`, {...data, response: 'disconnect'}, 'warn')
+      if(socket.readyState === 0 || socket.readyState === 1){
+        socket.close(1008)
+      }
+      if(!socket.ip){
+        return
+      }
+      const check = this.strikes.get(socket.ip)
+      const count = check && Date.now() - check.stamp < this.rate.banTime ? check.count + 1 : 1
+      this.strikes.set(socket.ip, {count, stamp: Date.now()})
+      if(count >= this.rate.ban){
+        this.strikes.delete(socket.ip)
+        this.bans.set(socket.ip, Date.now() + this.rate.banTime)
+        this.event('ip:ban', {...data, response: 'ban', until: this.bans.get(socket.ip)}, 'warn')
+      }
+    }
+    parseMessage(schemas, data){
+      try {
+        data = JSON.parse(data.toString('utf-8'))
+      } catch {
+        return {error: 'message is not valid json', code: 'parse'}
+      }
+      return validate(schemas, data)
+    }
+    countMessage(type, action){
+      // only valid messages get the label of their action so clients can not grow the metrics without bound
+      const test = action || 'unknown'
+      this.counters.messages[type][test] = (this.counters.messages[type][test] || 0) + 1
+    }
+    getMetrics(){
+      const label = (data) => {return String(data).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')}
+      const lines = []
+      const metric = (name, type, help, values) => {
+        lines.push(`# HELP ${name} ${help}`)
+        lines.push(`# TYPE ${name} ${type}`)
+        for(const [labels, value] of values){
+          const test = Object.keys(labels).map((data) => {return `${data}="${label(labels[data])}"`}).join(',')
+          lines.push(`${name}${test ? `{${test}}` : ''} ${value}`)
+        }
+      }
+      const clients = {}
+      for(const test of this.hashes){
+        clients[test] = 0
+      }
+      this.clients.forEach((data) => {
+        if(data.hash in clients){
+          clients[data.hash]++
+        }
+      })
+      let inbound = 0
+      let outbound = 0
+      this.servers.forEach((data) => {
+        if(data.server === true){
+          inbound++
+        } else {
+          outbound++
+        }
+      })
+
+      metric('relay_clients', 'gauge', 'Connected signal clients.', [[{}, this.clients.size]])
+      metric('relay_hash_clients', 'gauge', 'Connected signal clients per hash.', Object.keys(clients).map((data) => {return [{hash: data}, clients[data]]}))
+      metric('relay_hash_offers', 'gauge', 'Open offers per hash.', Array.from(this.hashes).map((data) => {return [{hash: data}, this.offers[data].size]}))
+      metric('relay_servers', 'gauge', 'Connected relay servers by direction.', [[{direction: 'inbound'}, inbound], [{direction: 'outbound'}, outbound]])
+      const messages = []
+      for(const type in this.counters.messages){
+        for(const action in this.counters.messages[type]){
+          messages.push([{type, action}, this.counters.messages[type][action]])
+        }
+      }
+      metric('relay_messages_total', 'counter', 'Messages received by socket type and action.', messages)
+      metric('relay_interrupts_total', 'counter', 'Interrupts sent to signal clients.', [[{}, this.counters.interrupts]])
+      metric('relay_matches_total', 'counter', 'Clients matched with a peer.', [[{}, this.counters.matches]])
+      metric('relay_timeouts_total', 'counter', 'Signal clients closed for timing out, by wait stage.', Object.keys(this.counters.timeouts).map((data) => {return [{wait: data}, this.counters.timeouts[data]]}))
+      metric('relay_errors_total', 'counter', 'Errors emitted.', [[{}, this.counters.errors]])
+      return lines.join('\n') + '\n'
+    }
+    sendLoad(){
+      const test = JSON.stringify({action: 'load', clients: this.clients.size, capacity: this.limit.clientConnections})
+      this.servers.forEach((soc) => {
+        if(soc.session && soc.readyState === 1){
+          soc.send(test)
+        }
+      })
+    }
+    leastRelay(hash){
+      // servers without a capacity count as empty, full servers are left out
+      let least = null
+      let ratio = Infinity
+      for(const test of this.relays.get(crypto.createHash('sha1').update(hash).digest('hex')) || []){
+        if(!test.session || !test.web || !test.load){
+          continue
+        }
+        if(test.load.capacity && test.load.clients >= test.load.capacity){
+          continue
+        }
+        const check = test.load.capacity ? test.load.clients / test.load.capacity : 0
+        if(check < ratio){
+          least = test
+          ratio = check
+        }
+      }
+      return least ? least.web : null
+    }
+    listRelays(hash, sort){
+      // servers in session for the hash, the least loaded first if sorted, servers that did not share their load go last
+      if(!this.hashes.has(hash)){
+        return null
+      }
       const test = this.relays.get(crypto.createHash('sha1').update(hash).digest('hex')).filter((e) => {return e.session && e.web})
+      if(sort){
+        const ratio = (e) => {return e.load ? (e.load.capacity ? e.load.clients / e.load.capacity : 0) : Infinity}
+        test.sort((a, b) => {return ratio(a) === ratio(b) ? 0 : ratio(a) < ratio(b) ? -1 : 1})
+      }
+      return test.map((e) => {return {web: e.web, secure: Boolean(e.secure), clients: e.load ? e.load.clients : null, capacity: e.load ? e.load.capacity : null}})
+    }
+    randomRelay(hash){
+      const test = (this.relays.get(crypto.createHash('sha1').update(hash).digest('hex')) || []).filter((e) => {return e.session && e.web})
       return test.length ? test[Math.floor(Math.random() * test.length)].web : null
     }
 }
\ No newline at end of file
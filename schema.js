@@ -0,0 +1,86 @@
+/**
+ * Messages of the /signal and /relay routes.
+ *
+ * Every action lists its fields as name: type, a type ending with ? is optional.
+ * Fields that are not listed are dropped, except for actions with payload: true,
+ * their other fields belong to the clients and are passed on untouched.
+ *
+ * version is sent in the session of every server, servers without it speak version 1.
+ * Servers below minVersion are not let in, actions a server does not know are ignored.
+ */
+
+export const version = 2
+export const minVersion = 1
+
+export const clientSchemas = {
+  session: {},
+  match: {count: 'integer?'},
+  room: {},
+  relays: {sort: 'string?'},
+  proc: {req: 'string', res: 'string'},
+  request: {req: 'string', res: 'string', payload: true},
+  response: {req: 'string', res: 'string', payload: true}
+}
+
+export const serverSchemas = {
+  session: {id: 'string', key: 'string', challenge: 'string', address: 'string', addresses: 'array?', web: 'string?', host: 'string', port: 'integer', domain: 'string?', secure: 'boolean?', relay: 'string', version: 'integer?'},
+  proof: {sig: 'string'},
+  add: {relay: 'string', reply: 'boolean?'},
+  sub: {relay: 'string'},
+  ping: {},
+  pong: {},
+  on: {},
+  off: {},
+  offer: {relay: 'string', id: 'string', user: 'string', room: 'string?', age: 'integer?'},
+  unoffer: {relay: 'string', id: 'string'},
+  take: {relay: 'string', id: 'string', user: 'string', by: 'string'},
+  signal: {relay: 'string', to: 'string', from: 'string', data: 'object'},
+  load: {clients: 'integer', capacity: 'integer'},
+  peers: {relay: 'string', peers: 'array'},
+  error: {error: 'string?', code: 'string?'}
+}
+
+const types = {
+  string: (data) => {return typeof(data) === 'string'},
+  integer: (data) => {return Number.isInteger(data)},
+  boolean: (data) => {return typeof(data) === 'boolean'},
+  object: (data) => {return typeof(data) === 'object' && data !== null && !Array.isArray(data)},
+  array: (data) => {return Array.isArray(data)}
+}
+
+/**
+ * Check a parsed message against schemas.
+ *
+ * @param {Object}  schemas    clientSchemas or serverSchemas
+ * @param {Object}  data    parsed message
+ * @return {Object} {data} with only the known fields, or {error, code} if the message is not valid
+ */
+export function validate(schemas, data){
+  if(!types.object(data) || !types.string(data.action)){
+    return {error: 'message must be an object with an action', code: 'invalid'}
+  }
+  if(!Object.hasOwn(schemas, data.action)){
+    return {error: `action ${data.action} is not supported`, code: 'unknown'}
+  }
+  const schema = schemas[data.action]
+  const test = schema.payload ? {...data} : {action: data.action}
+  for(const field in schema){
+    if(field === 'payload'){
+      continue
+    }
+    const optional = schema[field].endsWith('?')
+    const type = optional ? schema[field].slice(0, -1) : schema[field]
+    if(data[field] === undefined || data[field] === null){
+      if(!optional){
+        return {error: `${field} is required for ${data.action}`, code: 'invalid'}
+      }
+      delete test[field]
+      continue
+    }
+    if(!types[type](data[field])){
+      return {error: `${field} must be ${type === 'integer' ? 'an' : 'a'} ${type} for ${data.action}`, code: 'invalid'}
+    }
+    test[field] = data[field]
+  }
+  return {data: test}
+}